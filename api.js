@@ -0,0 +1,18 @@
+'use strict';
+
+// Panels are addressed by Z-Wave node id, endpoints by their number on the panel
+module.exports = {
+  async getPanels({ homey }) {
+    return homey.app.getPanels();
+  },
+
+  async getEndpoint({ homey, params }) {
+    const device = homey.app.getPanel(params.nodeId);
+    return device.getEndpointState(parseInt(params.endpoint, 10));
+  },
+
+  async setEndpoint({ homey, params, body }) {
+    const device = homey.app.getPanel(params.nodeId);
+    return device.setEndpointState(parseInt(params.endpoint, 10), body || {});
+  },
+};
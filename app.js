@@ -1,6 +1,9 @@
 'use strict';
 
 const Homey = require('homey');
+const WallWandDevice = require('./drivers/wallwand/device');
+
+const { DEVICE_TYPES, ONOFF_TYPES, LIGHT_LOADS } = WallWandDevice;
 
 class TouchWandApp extends Homey.App {
   async onInit() {
@@ -9,31 +12,78 @@ class TouchWandApp extends Homey.App {
     this._registerConditionCards();
   }
 
+  /**
+   * WallWand panels by Z-Wave node id, for the Web API
+   */
+  getPanels() {
+    return this.homey.drivers
+      .getDriver('wallwand')
+      .getDevices()
+      .map(device => ({
+        nodeId: device.node?.nodeId ?? null,
+        name: device.getName(),
+        available: device.getAvailable(),
+        endpoints: device.getEndpoints(),
+      }));
+  }
+
+  getPanel(nodeId) {
+    const device = this.homey.drivers
+      .getDriver('wallwand')
+      .getDevices()
+      .find(d => String(d.node?.nodeId) === String(nodeId));
+
+    if (!device) {
+      throw new Error(`Panel ${nodeId} not found`);
+    }
+    return device;
+  }
+
   _registerActionCards() {
-    this._registerAction('turn_endpoint_on', async args => {
-      const cap = `onoff.ep${args.endpoint.id}`;
-      if (!args.device.hasCapability(cap)) {
-        throw new Error(`Endpoint ${args.endpoint.id} does not have an onoff capability`);
-      }
-      await args.device.queueCapabilityCommand(cap, true);
-    });
+    this._registerAction(
+      'turn_endpoint_on',
+      async args => {
+        const cap = `onoff.ep${args.endpoint.id}`;
+        if (!args.device.hasCapability(cap)) {
+          throw new Error(`Endpoint ${args.endpoint.id} does not have an onoff capability`);
+        }
+        await args.device.queueCapabilityCommand(cap, true);
+      },
+      ONOFF_TYPES
+    );
 
-    this._registerAction('turn_endpoint_off', async args => {
-      const cap = `onoff.ep${args.endpoint.id}`;
-      if (!args.device.hasCapability(cap)) {
-        throw new Error(`Endpoint ${args.endpoint.id} does not have an onoff capability`);
-      }
-      await args.device.queueCapabilityCommand(cap, false);
-    });
+    this._registerAction(
+      'turn_endpoint_off',
+      async args => {
+        const cap = `onoff.ep${args.endpoint.id}`;
+        if (!args.device.hasCapability(cap)) {
+          throw new Error(`Endpoint ${args.endpoint.id} does not have an onoff capability`);
+        }
+        await args.device.queueCapabilityCommand(cap, false);
+      },
+      ONOFF_TYPES
+    );
 
-    this._registerAction('toggle_endpoint', async args => {
-      const cap = `onoff.ep${args.endpoint.id}`;
-      if (!args.device.hasCapability(cap)) {
-        throw new Error(`Endpoint ${args.endpoint.id} does not have an onoff capability`);
-      }
-      const currentState = args.device.getCapabilityValue(cap);
-      await args.device.queueCapabilityCommand(cap, !currentState);
-    });
+    this._registerAction(
+      'toggle_endpoint',
+      async args => {
+        const cap = `onoff.ep${args.endpoint.id}`;
+        if (!args.device.hasCapability(cap)) {
+          throw new Error(`Endpoint ${args.endpoint.id} does not have an onoff capability`);
+        }
+        const currentState = args.device.getCapabilityValue(cap);
+        await args.device.queueCapabilityCommand(cap, !currentState);
+      },
+      ONOFF_TYPES
+    );
+
+    this._registerAction(
+      'turn_endpoint_on_for',
+      async args => {
+        await args.device.turnOnFor(args.endpoint.id, args.minutes * 60000);
+      },
+      ONOFF_TYPES
+    );
 
     this._registerAction(
       'set_endpoint_dim',
@@ -45,23 +95,136 @@ class TouchWandApp extends Homey.App {
           throw new Error(`Endpoint ${args.endpoint.id} does not have a dim capability`);
         }
 
-        await args.device.queueCapabilityCommand(dimCap, args.level);
+        // An explicit level overrides any fade that is still running
+        args.device.cancelFade(args.endpoint.id);
+
+        // Flow duration is in ms; left out, the endpoint's default transition applies
+        const opts = typeof args.duration === 'number' ? { duration: args.duration } : {};
+        await args.device.queueCapabilityCommand(dimCap, args.level, opts);
 
         if (args.device.hasCapability(onoffCap)) {
-          await args.device.queueCapabilityCommand(onoffCap, args.level > 0);
+          await args.device.queueCapabilityCommand(onoffCap, args.level > 0, {
+            ...opts,
+            keepLevel: true,
+          });
+        }
+      },
+      [DEVICE_TYPES.DIMMER]
+    );
+
+    this._registerAction(
+      'fade_endpoint',
+      async args => {
+        await args.device.fadeEndpoint(args.endpoint.id, args.from, args.to, args.minutes * 60000);
+      },
+      [DEVICE_TYPES.DIMMER],
+      LIGHT_LOADS
+    );
+
+    this._registerAction(
+      'start_endpoint_level_change',
+      async args => {
+        await args.device.startLevelChange(args.endpoint.id, args.direction);
+      },
+      [DEVICE_TYPES.DIMMER],
+      LIGHT_LOADS
+    );
+
+    this._registerAction(
+      'stop_endpoint_level_change',
+      async args => {
+        await args.device.stopLevelChange(args.endpoint.id);
+      },
+      [DEVICE_TYPES.DIMMER],
+      LIGHT_LOADS
+    );
+
+    this._registerCoverAction('open_endpoint_cover', 'up');
+    this._registerCoverAction('close_endpoint_cover', 'down');
+    this._registerCoverAction('stop_endpoint_cover', 'idle');
+
+    this._registerAction(
+      'set_endpoint_cover_position',
+      async args => {
+        const cap = `windowcoverings_set.ep${args.endpoint.id}`;
+        if (!args.device.hasCapability(cap)) {
+          throw new Error(`Endpoint ${args.endpoint.id} is not a cover`);
+        }
+        await args.device.queueCapabilityCommand(cap, args.position);
+      },
+      [DEVICE_TYPES.COVER]
+    );
+
+    this._registerSceneActions();
+    this._registerAssociationAction('add_association', 'addAssociation');
+    this._registerAssociationAction('remove_association', 'removeAssociation');
+    this._registerProtectionAction('set_local_protection', 'local');
+    this._registerProtectionAction('set_rf_protection', 'rf');
+  }
+
+  _registerProtectionAction(id, kind) {
+    const action = this.homey.flow.getActionCard(id);
+    if (!action) return;
+
+    action.registerRunListener(async args =>
+      args.device.setProtection(args.target.id, { [kind]: args.state })
+    );
+    action.registerArgumentAutocompleteListener('target', async (query, args) =>
+      args.device._getProtectionTargetList(query)
+    );
+  }
+
+  _registerAssociationAction(id, method) {
+    const action = this.homey.flow.getActionCard(id);
+    if (!action) return;
+
+    action.registerRunListener(async args => {
+      const target = args.target_endpoint
+        ? `${args.target_node}:${args.target_endpoint}`
+        : `${args.target_node}`;
+      await args.device[method](args.source.id, args.group, target);
+    });
+    action.registerArgumentAutocompleteListener('source', async (query, args) =>
+      args.device._getAssociationSourceList(query)
+    );
+  }
+
+  _registerSceneActions() {
+    const saveScene = this.homey.flow.getActionCard('save_scene');
+    if (saveScene) {
+      saveScene.registerRunListener(async args => args.device.saveScene(args.name));
+    }
+
+    const restoreScene = this.homey.flow.getActionCard('restore_scene');
+    if (restoreScene) {
+      restoreScene.registerRunListener(async args => args.device.restoreScene(args.scene.name));
+      restoreScene.registerArgumentAutocompleteListener('scene', async (query, args) =>
+        args.device._getSceneAutocompleteList(query)
+      );
+    }
+  }
+
+  _registerCoverAction(id, state) {
+    this._registerAction(
+      id,
+      async args => {
+        const cap = `windowcoverings_state.ep${args.endpoint.id}`;
+        if (!args.device.hasCapability(cap)) {
+          throw new Error(`Endpoint ${args.endpoint.id} is not a cover`);
         }
+        await args.device.queueCapabilityCommand(cap, state);
       },
-      true
+      [DEVICE_TYPES.COVER]
     );
   }
 
-  _registerAction(id, runListener, onlyDimmers = false) {
+  _registerAction(id, runListener, endpointTypes = null, loadTypes = null) {
     const action = this.homey.flow.getActionCard(id);
     if (!action) return;
 
     action.registerRunListener(runListener);
     action.registerArgumentAutocompleteListener('endpoint', async (query, args) => {
-      return args.device._getEndpointAutocompleteList(query, onlyDimmers);
+      return args.device._getEndpointAutocompleteList(query, endpointTypes, null, loadTypes);
     });
   }
 
@@ -72,7 +235,27 @@ class TouchWandApp extends Homey.App {
         args.device._handleEndpointIsOn({ endpoint: args.endpoint })
       );
       isOnCondition.registerArgumentAutocompleteListener('endpoint', async (query, args) =>
-        args.device._getEndpointAutocompleteList(query)
+        args.device._getEndpointAutocompleteList(query, ONOFF_TYPES)
+      );
+    }
+
+    const onForCondition = this.homey.flow.getConditionCard('endpoint_on_for');
+    if (onForCondition) {
+      onForCondition.registerRunListener(async args =>
+        args.device._handleEndpointOnFor({ endpoint: args.endpoint, minutes: args.minutes })
+      );
+      onForCondition.registerArgumentAutocompleteListener('endpoint', async (query, args) =>
+        args.device._getEndpointAutocompleteList(query, ONOFF_TYPES)
+      );
+    }
+
+    const protectionCondition = this.homey.flow.getConditionCard('protection_is_active');
+    if (protectionCondition) {
+      protectionCondition.registerRunListener(async args =>
+        args.device.isProtected(args.target.id, args.kind)
+      );
+      protectionCondition.registerArgumentAutocompleteListener('target', async (query, args) =>
+        args.device._getProtectionTargetList(query)
       );
     }
 
@@ -86,7 +269,21 @@ class TouchWandApp extends Homey.App {
         })
       );
       dimCompareCondition.registerArgumentAutocompleteListener('endpoint', async (query, args) =>
-        args.device._getEndpointAutocompleteList(query, true)
+        args.device._getEndpointAutocompleteList(query, [DEVICE_TYPES.DIMMER])
+      );
+    }
+
+    const powerCompareCondition = this.homey.flow.getConditionCard('endpoint_power_compare');
+    if (powerCompareCondition) {
+      powerCompareCondition.registerRunListener(async args =>
+        args.device._handleEndpointPowerCompare({
+          endpoint: args.endpoint,
+          comparison: args.comparison,
+          power: args.power,
+        })
+      );
+      powerCompareCondition.registerArgumentAutocompleteListener('endpoint', async (query, args) =>
+        args.device._getEndpointAutocompleteList(query, null, 'measure_power')
       );
     }
   }
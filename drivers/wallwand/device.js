@@ -5,25 +5,234 @@ module.exports = class WallWandDevice extends ZwaveDevice {
   static DEVICE_TYPES = {
     DIMMER: 'dimmer',
     SWITCH: 'switch',
+    COVER: 'cover',
   };
 
+  // Endpoint types that expose an onoff capability
+  static ONOFF_TYPES = [WallWandDevice.DEVICE_TYPES.DIMMER, WallWandDevice.DEVICE_TYPES.SWITCH];
+
+  // Capabilities that may be registered per endpoint as `<capability>.ep<N>`
+  static ENDPOINT_CAPABILITIES = [
+    'onoff',
+    'dim',
+    'windowcoverings_state',
+    'windowcoverings_set',
+    'measure_power',
+    'meter_power',
+  ];
+
+  // Appended to the endpoint label so metering capabilities stay distinguishable in the UI
+  static CAPABILITY_TITLE_SUFFIXES = {
+    measure_power: 'Power',
+    meter_power: 'Energy',
+  };
+
+  // Per-endpoint setting that overrides type detection
+  static TYPE_OVERRIDES = {
+    AUTO: 'auto',
+    IGNORE: 'ignore',
+  };
+
+  // Command class a forced endpoint type needs to be controllable at all
+  static REQUIRED_COMMAND_CLASSES = {
+    dimmer: 'COMMAND_CLASS_SWITCH_MULTILEVEL',
+    switch: 'COMMAND_CLASS_SWITCH_BINARY',
+    cover: 'COMMAND_CLASS_SWITCH_MULTILEVEL',
+  };
+
+  // What is wired to an endpoint, chosen per endpoint in the settings
+  static LOAD_TYPES = {
+    AUTO: 'auto',
+    LIGHT: 'light',
+    SOCKET: 'socket',
+    FAN: 'fan',
+    HEATER: 'heater',
+    BLIND: 'blind',
+  };
+
+  static LOAD_TYPE_LABELS = {
+    light: 'Light',
+    socket: 'Socket',
+    fan: 'Fan',
+    heater: 'Heater',
+    blind: 'Blind',
+  };
+
+  // Loads offered in lighting-only flow cards and given lighting behaviour (turn-on level,
+  // calibration); auto is included since it may well be a light
+  static LIGHT_LOADS = [WallWandDevice.LOAD_TYPES.AUTO, WallWandDevice.LOAD_TYPES.LIGHT];
+
+  // Homey device class of an endpoint device, by load type and otherwise by endpoint type
+  static DEVICE_CLASSES = {
+    light: 'light',
+    socket: 'socket',
+    fan: 'fan',
+    heater: 'heater',
+    blind: 'windowcoverings',
+    dimmer: 'light',
+    switch: 'socket',
+    cover: 'windowcoverings',
+  };
+
+  // Multilevel endpoints with one of these specific classes drive a motor (blind/shutter)
+  static COVER_SPECIFIC_CLASSES = [
+    'SPECIFIC_TYPE_MOTOR_MULTIPOSITION',
+    'SPECIFIC_TYPE_CLASS_A_MOTOR_CONTROL',
+    'SPECIFIC_TYPE_CLASS_B_MOTOR_CONTROL',
+    'SPECIFIC_TYPE_CLASS_C_MOTOR_CONTROL',
+  ];
+
   // Constants
   // Z-Wave SWITCH_MULTILEVEL uses 0-99 range per specification (not 0-100)
   // 0 = off, 1-99 = dimming levels, 255 = restore last level
   static Z_WAVE_MAX_DIM_VALUE = 99;
+  // Brightness curves: toDevice maps Homey's 0-1 onto the calibrated range, fromDevice inverts it
+  static DIM_CURVES = {
+    linear: { toDevice: x => x, fromDevice: y => y },
+    logarithmic: { toDevice: x => (10 ** x - 1) / 9, fromDevice: y => Math.log10(1 + 9 * y) },
+    gamma: { toDevice: x => x ** 2.2, fromDevice: y => y ** (1 / 2.2) },
+  };
+
+  // What a dimmer endpoint comes on at when switched on without a level
+  static TURN_ON_MODES = {
+    LAST: 'last', // Let the panel restore its own last level (SWITCH_MULTILEVEL 255)
+    PRESET: 'preset',
+    SCHEDULE: 'schedule', // Night level between the night times, otherwise the last level
+  };
+
+  static LAST_LEVEL_STORE_DELAY_MS = 5000;
+
   static SYNC_DEBOUNCE_MS = 200;
+  static GET_REPLY_GRACE_MS = 500; // A report this soon after our GET settled is its reply
+
+  // Switch reports by command class. A root report has no endpoint, so it waits
+  // SYNC_DEBOUNCE_MS for an encapsulated one and only then falls back to syncing these types.
+  static REPORT_KINDS = {
+    multilevel: {
+      commandClass: 'COMMAND_CLASS_SWITCH_MULTILEVEL',
+      command: 'SWITCH_MULTILEVEL_REPORT',
+      types: [WallWandDevice.DEVICE_TYPES.DIMMER, WallWandDevice.DEVICE_TYPES.COVER],
+    },
+    binary: {
+      commandClass: 'COMMAND_CLASS_SWITCH_BINARY',
+      command: 'SWITCH_BINARY_REPORT',
+      types: [WallWandDevice.DEVICE_TYPES.SWITCH],
+    },
+  };
   static HEALTH_CHECK_INTERVAL_MS = 300000; // 5 minutes
+
+  // PROTECTION states per kind, in Z-Wave value order; parsed reports may give the name instead
+  static PROTECTION_STATES = {
+    local: {
+      unprotected: 'Unprotected',
+      sequence: 'Protection by sequence',
+      locked: 'No operation possible',
+    },
+    rf: {
+      unprotected: 'Unprotected',
+      no_control: 'No RF control',
+      no_response: 'No RF response',
+    },
+  };
+
+  // While the panel reports on its own, the polling interval doubles up to this factor
+  static POLL_MAX_BACKOFF = 8;
+  static POLL_BUSY_RETRY_MS = 5000;
   static COMMAND_DELAY_MS = 250; // Delay between commands to prevent overwhelming device
+  static COMMAND_TIMEOUT_MS = 10000; // Per attempt
+  static COMMAND_DEADLINE_MS = 30000; // Queued commands older than this are dropped
+  static COMMAND_MAX_RETRIES = 2;
+  static COMMAND_RETRY_BASE_MS = 500; // Doubled on every retry
+
+  // Lower runs first: UI changes should not wait behind a flow that bulk-dims every endpoint
+  static COMMAND_PRIORITY = {
+    INTERACTIVE: 0,
+    BULK: 1,
+  };
+  static LEVEL_CHANGE_SYNC_DELAY_MS = 500; // Let the load settle before reading back its level
+  static LEVEL_CHANGE_ECHO_MS = 10000; // How long a ramp may run before its last report
+  static FADE_MIN_STEP_MS = 1000; // Shortest interval between fade steps
+  static HOMEY_COMMAND_WINDOW_MS = 3000; // Reports this soon after a command (ends) are its echo
+
+  // Origin of a state change, passed to flows as the `source` token
+  static CHANGE_SOURCES = {
+    PHYSICAL: 'physical', // Follows a report the panel sent by itself, i.e. a wall press
+    HOMEY: 'homey', // Echo of a command sent by this app
+    UNKNOWN: 'unknown', // Only found by reading state back, e.g. at startup or after recovery
+  };
+  // Insights logs kept per endpoint
+  static USAGE_INSIGHTS = {
+    on_time: { title: 'On time', units: 'h', decimals: 2 },
+    cycles: { title: 'Switch cycles', units: '', decimals: 0 },
+    dim_average: { title: 'Average dim level', units: '%', decimals: 0 },
+  };
 
-  async onInit() {
-    super.onInit();
-    this.log(`[WallWand Device onInit] ${this.getName()} created`);
+  static USAGE_FLUSH_DELAY_MS = 10000; // Longest a usage change waits to be stored and logged
+  static DIAGNOSTICS_HISTORY_SIZE = 20; // Entries kept per diagnostics log
+  static PING_ATTEMPTS = 2; // Failed pings in a row before the panel is marked offline
+  static AVAILABILITY_REPORT_CLASSES = [
+    'COMMAND_CLASS_SWITCH_MULTILEVEL',
+    'COMMAND_CLASS_SWITCH_BINARY',
+    'COMMAND_CLASS_METER',
+    'COMMAND_CLASS_SENSOR_MULTILEVEL',
+    'COMMAND_CLASS_CENTRAL_SCENE',
+  ];
+
+  // CENTRAL_SCENE_NOTIFICATION "Key Attributes" (numeric and parsed string form) to token values
+  static KEY_ATTRIBUTES = {
+    0: 'single',
+    1: 'released',
+    2: 'held',
+    3: 'double',
+    4: 'triple',
+    'Key Pressed 1 time': 'single',
+    'Key Released': 'released',
+    'Key Held Down': 'held',
+    'Key Pressed 2 times': 'double',
+    'Key Pressed 3 times': 'triple',
+  };
 
+  async onInit() {
     // Initialize state
     this._listeners = [];
-    this._syncTimeout = null;
+    this._capabilityListeners = {}; // Capability -> report listeners zwavedriver added for it
+    this._endpointTypes = {}; // Restored in onNodeInit; endpoint devices may ask before that
+    this._reportSyncs = {};
+    this._pendingGets = {};
+    this._interlockLocks = {};
+    this._pollTimer = null;
+    this._pollDelayMs = null;
+    this._isPolling = false;
+    this._lastPollAt = null;
+    this._lastUnsolicitedReportAt = 0;
     this._commandQueue = [];
+    this._commandHandlers = {};
     this._isProcessingQueue = false;
+    this._fades = {};
+    this._autoOffTimers = {};
+    this._homeyCommandUntil = {}; // Endpoint -> until when its reports echo our commands
+    this._lastSeen = {};
+    this._lastReports = {}; // Endpoint -> last switch report, for diagnostics
+    this._reportSyncScopes = {}; // Endpoint -> number of report-prompted syncs covering it
+    this._usageStats = {};
+    this._usageStatsLoaded = false;
+    this._usageDirty = new Set();
+    this._usageFlushTimer = null;
+    this._usageLogs = {};
+    this._lastLevels = {};
+    this._lastLevelsTimer = null;
+    this._offlineSince = null;
+    this._discoveryLog = {};
+    this._commandFailures = [];
+    this._healthHistory = [];
+
+    // Before super.onInit() starts node initialization: capability reports arriving during
+    // discovery must add to the stored totals, not replace them
+    await this._restoreUsageStats();
+    this._lastLevels = (await this.getStoreValue('lastLevels')) || {};
+
+    super.onInit();
+    this.log(`[WallWand Device onInit] ${this.getName()} created`);
 
     // Register Flow card autocomplete listeners
     this._registerFlowCardListeners();
@@ -47,8 +256,15 @@ module.exports = class WallWandDevice extends ZwaveDevice {
 
       // Register listeners for endpoint-less reports (physical presses)
       this._registerRootDeviceListeners(node);
+      this._registerCentralSceneListener(node);
 
       await this._discoverAllEndpoints(node);
+      this._registerAvailabilityListeners(node);
+      await this._registerDiagnosticsAction();
+
+      // Resume auto-off timers before syncing, so state changes made meanwhile apply to them
+      await this._restoreAutoOffTimers();
+
       await this._syncAllEndpointStates(node);
       await this._cleanupOrphanedEndpoints();
 
@@ -57,8 +273,19 @@ module.exports = class WallWandDevice extends ZwaveDevice {
       // Save discovered endpoint types
       await this.setStoreValue('endpointTypes', this._endpointTypes);
 
+      // Endpoint devices that attached before discovery only had the load type to go on
+      for (const id of Object.keys(this._endpointTypes)) {
+        const endpointNum = parseInt(id, 10);
+        this.emit('endpointLoad', endpointNum, this.getEndpointDeviceClass(endpointNum));
+      }
+
       // Set up health monitoring
       this._startHealthCheck();
+      this._startPolling();
+
+      // Show the current association groups in settings, without holding up initialization
+      this._refreshAssociationSettings();
+      this._refreshProtectionSettings();
 
       this.log('onNodeInit finished successfully.');
     } catch (error) {
@@ -68,7 +295,41 @@ module.exports = class WallWandDevice extends ZwaveDevice {
   }
 
   async onSettings({ oldSettings, newSettings, changedKeys = [] }) {
-    const hasLabelChanges = changedKeys.some(k => k.startsWith('label_ep'));
+    for (const key of changedKeys.filter(k => /^night_(start|end)_ep\d+$/.test(k))) {
+      this._parseTimeOfDay(newSettings[key]);
+    }
+
+    for (const key of changedKeys.filter(k => /^dim_(min|max)_ep\d+$/.test(k))) {
+      const endpointNum = parseInt(key.split('_ep')[1], 10);
+      const min = Number(newSettings[`dim_min_ep${endpointNum}`]);
+      const max = Number(newSettings[`dim_max_ep${endpointNum}`]);
+      if (!(min < max)) {
+        throw new Error(
+          `Endpoint ${endpointNum}: the lowest dim level (${min}) must be below the highest (${max})`
+        );
+      }
+    }
+
+    const typeChanges = changedKeys.filter(k => /^(load_type|endpoint_type)_ep\d+$/.test(k));
+    const typeChangedEndpoints = new Set(typeChanges.map(k => parseInt(k.split('_ep')[1], 10)));
+    if (changedKeys.includes('endpoint_type_extra')) {
+      const oldTypes = this._parseExtraEndpointTypes(oldSettings.endpoint_type_extra);
+      const newTypes = this._parseExtraEndpointTypes(newSettings.endpoint_type_extra);
+      for (const id of new Set([...Object.keys(oldTypes), ...Object.keys(newTypes)])) {
+        if (oldTypes[id] !== newTypes[id]) typeChangedEndpoints.add(parseInt(id, 10));
+      }
+    }
+    for (const endpointNum of typeChangedEndpoints) {
+      try {
+        await this._applyEndpointTypeSettings(endpointNum, newSettings);
+      } catch (error) {
+        this.error(`[onSettings] Failed to apply type for EP${endpointNum}:`, error.message);
+        throw error;
+      }
+    }
+
+    const hasLabelChanges =
+      typeChangedEndpoints.size > 0 || changedKeys.some(k => k.startsWith('label_'));
 
     if (hasLabelChanges) {
       try {
@@ -79,39 +340,124 @@ module.exports = class WallWandDevice extends ZwaveDevice {
       }
     }
 
+    if (changedKeys.includes('associations')) {
+      try {
+        await this._applyAssociationSettings(oldSettings.associations, newSettings.associations);
+      } catch (error) {
+        this.error('[onSettings] Failed to apply associations:', error.message || error);
+        throw error;
+      }
+    }
+
+    if (changedKeys.includes('interlock_groups')) {
+      this._parseInterlockGroups(newSettings.interlock_groups);
+    }
+
+    const protection = {};
+    if (changedKeys.includes('local_protection')) protection.local = newSettings.local_protection;
+    if (changedKeys.includes('rf_protection')) protection.rf = newSettings.rf_protection;
+    if (Object.keys(protection).length > 0) {
+      try {
+        // The settings being saved already hold the new states
+        await this._writeProtection(0, protection);
+      } catch (error) {
+        this.error('[onSettings] Failed to apply protection:', error.message || error);
+        throw error;
+      }
+    }
+
+    if (changedKeys.includes('polling_enabled') || changedKeys.includes('polling_interval')) {
+      this._startPolling(newSettings);
+    }
+
     return super.onSettings({ oldSettings, newSettings, changedKeys });
   }
 
+  async onUninit() {
+    // Paired endpoint devices hold on to this instance; let them attach to the next one
+    this.emit('uninit', 'The WallWand panel is restarting');
+  }
+
   async onDeleted() {
+    // Let paired endpoint devices know their panel is gone
+    this.emit('uninit', 'The WallWand panel was removed');
+
     this._commandQueue = [];
     this._isProcessingQueue = false;
+    this._fades = {};
+    this._clearAutoOffTimers();
     this._cleanupListeners();
+    clearTimeout(this._usageFlushTimer);
+    this._usageFlushTimer = null;
+    clearTimeout(this._lastLevelsTimer);
+    this._lastLevelsTimer = null;
+    await this._deleteUsageLogs();
 
     if (this._healthCheckInterval) {
       clearInterval(this._healthCheckInterval);
       this._healthCheckInterval = null;
     }
 
-    if (this._syncTimeout) {
-      clearTimeout(this._syncTimeout);
-      this._syncTimeout = null;
+    for (const sync of Object.values(this._reportSyncs)) {
+      clearTimeout(sync.timer);
     }
+    this._reportSyncs = {};
+    this._stopPolling();
 
     await super.onDeleted();
   }
 
   /**
-   * Queue a capability change command to prevent overwhelming the device
+   * Queue a capability change command to prevent overwhelming the device.
+   * A pending command for the same capability is updated in place instead of sending both;
+   * every caller's promise settles with the command that finally runs.
+   * @param {string} capabilityId
+   * @param {*} value
+   * @param {object} [opts] - Capability options, e.g. { duration } in ms for dim transitions.
+   *   `fadeStep` marks a command sent by a running fade; any other command cancels the fade.
+   * @param {object} [queueOpts]
+   * @param {number} [queueOpts.priority] - One of COMMAND_PRIORITY, defaults to BULK
+   * @param {number} [queueOpts.deadlineMs] - Give up if not sent within this time
    */
-  async queueCapabilityCommand(capabilityId, value) {
+  async queueCapabilityCommand(capabilityId, value, opts = {}, queueOpts = {}) {
+    const send = () => this._enqueueCommand(capabilityId, value, opts, queueOpts);
+
+    // A fade step only follows the first one, which already went through the interlock
+    if (!this._isTurnOnCommand(capabilityId, value) || opts.fadeStep) return send();
+    return this._runInterlocked(this._getEndpointNumber(capabilityId), send, queueOpts);
+  }
+
+  _enqueueCommand(capabilityId, value, opts, queueOpts) {
+    const priority = queueOpts.priority ?? WallWandDevice.COMMAND_PRIORITY.BULK;
+    const deadlineMs = queueOpts.deadlineMs ?? WallWandDevice.COMMAND_DEADLINE_MS;
+
     return new Promise((resolve, reject) => {
-      this._commandQueue.push({
-        capabilityId,
-        value,
-        resolve,
-        reject,
-        timestamp: Date.now(),
-      });
+      const pending = this._commandQueue.find(c => c.capabilityId === capabilityId);
+
+      if (pending) {
+        this.log(`[QUEUE] Coalescing ${capabilityId}: ${pending.value} superseded by ${value}`);
+        pending.value = value;
+        pending.opts = opts;
+        pending.deadline = Math.max(pending.deadline, Date.now() + deadlineMs);
+        pending.callbacks.push({ resolve, reject });
+
+        // An interactive command must not wait behind bulk commands because it was merged
+        if (priority < pending.priority) {
+          pending.priority = priority;
+          this._commandQueue.splice(this._commandQueue.indexOf(pending), 1);
+          this._insertCommand(pending);
+        }
+      } else {
+        this._insertCommand({
+          capabilityId,
+          value,
+          opts,
+          priority,
+          callbacks: [{ resolve, reject }],
+          timestamp: Date.now(),
+          deadline: Date.now() + deadlineMs,
+        });
+      }
 
       // Start processing if not already running
       if (!this._isProcessingQueue) {
@@ -120,6 +466,18 @@ module.exports = class WallWandDevice extends ZwaveDevice {
     });
   }
 
+  /**
+   * Insert a command behind all commands of equal or higher priority
+   */
+  _insertCommand(command) {
+    const index = this._commandQueue.findIndex(c => c.priority > command.priority);
+    if (index === -1) {
+      this._commandQueue.push(command);
+    } else {
+      this._commandQueue.splice(index, 0, command);
+    }
+  }
+
   /**
    * Process queued commands with delay between each
    * Uses a tail-recursive pattern to eliminate race conditions
@@ -141,13 +499,18 @@ module.exports = class WallWandDevice extends ZwaveDevice {
 
         try {
           this.log(`[QUEUE] Processing command: ${command.capabilityId} = ${command.value}`);
-          await this.triggerCapabilityListener(command.capabilityId, command.value);
-          command.resolve();
+          await this._executeQueuedCommand(command);
+          command.callbacks.forEach(({ resolve }) => resolve());
         } catch (error) {
           this.error(
             `[QUEUE] Failed to execute command: ${command.capabilityId} - ${error.message || error}`
           );
-          command.reject(error);
+          command.callbacks.forEach(({ reject }) => reject(error));
+          this._recordDiagnostic(this._commandFailures, {
+            capabilityId: command.capabilityId,
+            value: command.value,
+            error: error.message || String(error),
+          });
         }
 
         // Add delay between commands if there are more in queue
@@ -161,6 +524,109 @@ module.exports = class WallWandDevice extends ZwaveDevice {
     }
   }
 
+  /**
+   * Send one command, retrying transient failures with exponential backoff until the
+   * command's deadline passes
+   */
+  async _executeQueuedCommand(command) {
+    for (let attempt = 0; ; attempt++) {
+      if (Date.now() > command.deadline) {
+        throw new Error(`Command ${command.capabilityId} expired before it could be sent`);
+      }
+
+      try {
+        await this._withTimeout(
+          this._runCapabilityCommand(command.capabilityId, command.value, command.opts),
+          WallWandDevice.COMMAND_TIMEOUT_MS,
+          `Command ${command.capabilityId} timeout after ${WallWandDevice.COMMAND_TIMEOUT_MS}ms`
+        );
+        this._markSeen(this._getEndpointNumber(command.capabilityId) || 0);
+        return;
+      } catch (error) {
+        if (attempt >= WallWandDevice.COMMAND_MAX_RETRIES || !this._isTransientError(error)) {
+          // A command that never got through is the quickest sign the panel is gone
+          if (this._isTransientError(error)) this._checkAvailability({ force: true });
+          throw error;
+        }
+
+        const backoff = WallWandDevice.COMMAND_RETRY_BASE_MS * 2 ** attempt;
+        this.log(
+          `[QUEUE] ${command.capabilityId} attempt ${attempt + 1} failed (${error.message || error}), retrying in ${backoff}ms`
+        );
+        await this._delay(backoff);
+      }
+    }
+  }
+
+  /**
+   * Run the Z-Wave handler for a capability and reflect the new value in Homey
+   */
+  async _runCapabilityCommand(capabilityId, value, opts) {
+    const { fadeStep, ...handlerOpts } = opts || {};
+    const endpointNum = this._getEndpointNumber(capabilityId);
+    // A transition reports its final level only once it has run
+    const durationMs = endpointNum
+      ? this._withDefaultDuration(endpointNum, handlerOpts).duration || 0
+      : 0;
+    if (endpointNum) {
+      this._markHomeyCommand(endpointNum, durationMs);
+      // Any other command on the endpoint takes over from a running fade
+      if (!fadeStep) this.cancelFade(endpointNum);
+    }
+
+    const handler = this._commandHandlers[capabilityId];
+    try {
+      if (!handler) {
+        await this.triggerCapabilityListener(capabilityId, value, handlerOpts);
+      } else {
+        await handler(value, handlerOpts);
+        await this.setCapabilityValue(capabilityId, value).catch(err => {
+          this.log(`[QUEUE] Note setting ${capabilityId}: ${err.message || err}`);
+        });
+      }
+    } finally {
+      // Sending may have taken a while, so the echo window runs from here
+      if (endpointNum) this._markHomeyCommand(endpointNum, durationMs);
+    }
+
+    // Dimming up from the slider, a flow or the API switches the endpoint on just the same
+    if (endpointNum && /^(onoff|dim)\./.test(capabilityId)) {
+      await this._handleAutoOffCommand(endpointNum, this._isTurnOnCommand(capabilityId, value));
+    }
+  }
+
+  /**
+   * Route a capability through the command queue, including changes made in the Homey UI.
+   * UI changes are interactive and jump ahead of bulk flow commands.
+   * @param {string} capabilityId
+   * @param {Function} handler - async (value, opts) => void, sends the Z-Wave command
+   */
+  _registerCommandHandler(capabilityId, handler) {
+    this._commandHandlers[capabilityId] = handler;
+    this.registerCapabilityListener(capabilityId, async (value, opts) =>
+      this.queueCapabilityCommand(capabilityId, value, opts, {
+        priority: WallWandDevice.COMMAND_PRIORITY.INTERACTIVE,
+      })
+    );
+  }
+
+  _isTransientError(error) {
+    const errorMsg = (error && (error.message || error.toString())) || '';
+    return (
+      errorMsg.includes('timeout') ||
+      errorMsg.includes('did not respond') ||
+      errorMsg.includes('NO_ACK')
+    );
+  }
+
+  _withTimeout(promise, ms, message) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(message)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
   /**
    * Helper method for delays
    */
@@ -202,20 +668,33 @@ module.exports = class WallWandDevice extends ZwaveDevice {
    * Check if device state is healthy and attempt recovery if needed
    */
   async _checkDeviceHealth() {
+    await this._checkAvailability();
+    await this._publishAllUsage();
+
     const discoveredCount = Object.keys(this._endpointTypes || {}).length;
-    const capabilityCount = this.getCapabilities().filter(
-      c => c.startsWith('onoff.ep') || c.startsWith('dim.ep')
+    const capabilityCount = this.getCapabilities().filter(c =>
+      this._isEndpointCapability(c)
     ).length;
 
+    let result = 'ok';
     if (discoveredCount === 0 && capabilityCount > 0) {
       this.warning('[HEALTH] Endpoint types lost, attempting rediscovery');
       try {
         await this._discoverAllEndpoints(this.node);
         await this.setStoreValue('endpointTypes', this._endpointTypes);
+        result = 'rediscovered';
       } catch (error) {
         this.error('[HEALTH] Rediscovery failed:', error.message || error);
+        result = `rediscovery failed: ${error.message || error}`;
       }
     }
+
+    this._recordDiagnostic(this._healthHistory, {
+      online: !this._offlineSince,
+      discoveredCount,
+      capabilityCount,
+      result,
+    });
   }
 
   _registerFlowCardListeners() {
@@ -224,15 +703,19 @@ module.exports = class WallWandDevice extends ZwaveDevice {
     const dimChangedTrigger = this.homey.flow.getDeviceTriggerCard('endpoint_dim_changed');
     const stateChangedTrigger = this.homey.flow.getDeviceTriggerCard('endpoint_state_changed');
 
+    const coverPositionTrigger = this.homey.flow.getDeviceTriggerCard(
+      'endpoint_cover_position_changed'
+    );
+
     if (turnedOnTrigger) {
       turnedOnTrigger.registerArgumentAutocompleteListener('endpoint', async query => {
-        return this._getEndpointAutocompleteList(query);
+        return this._getEndpointAutocompleteList(query, WallWandDevice.ONOFF_TYPES);
       });
     }
 
     if (turnedOffTrigger) {
       turnedOffTrigger.registerArgumentAutocompleteListener('endpoint', async query => {
-        return this._getEndpointAutocompleteList(query);
+        return this._getEndpointAutocompleteList(query, WallWandDevice.ONOFF_TYPES);
       });
     }
 
@@ -244,38 +727,74 @@ module.exports = class WallWandDevice extends ZwaveDevice {
 
     if (stateChangedTrigger) {
       stateChangedTrigger.registerArgumentAutocompleteListener('endpoint', async query => {
-        return this._getEndpointAutocompleteList(query);
+        return this._getEndpointAutocompleteList(query, WallWandDevice.ONOFF_TYPES);
+      });
+    }
+
+    if (coverPositionTrigger) {
+      coverPositionTrigger.registerArgumentAutocompleteListener('endpoint', async query => {
+        return this._getEndpointAutocompleteList(query, [WallWandDevice.DEVICE_TYPES.COVER]);
       });
     }
 
+    for (const triggerId of [
+      'endpoint_turned_on_by_button',
+      'endpoint_turned_off_by_button',
+      'endpoint_dim_changed_by_button',
+    ]) {
+      const trigger = this.homey.flow.getDeviceTriggerCard(triggerId);
+      if (!trigger) continue;
+
+      const types = triggerId.startsWith('endpoint_dim')
+        ? [WallWandDevice.DEVICE_TYPES.DIMMER]
+        : WallWandDevice.ONOFF_TYPES;
+      trigger.registerArgumentAutocompleteListener('endpoint', async query =>
+        this._getEndpointAutocompleteList(query, types)
+      );
+      trigger.registerRunListener(async (args, state) => args.endpoint.id === state.endpoint.id);
+    }
+
+    const buttonPressedTrigger = this.homey.flow.getDeviceTriggerCard('button_pressed');
+    if (buttonPressedTrigger) {
+      buttonPressedTrigger.registerRunListener(
+        async (args, state) =>
+          Number(args.key) === state.key &&
+          (args.attribute === 'any' || args.attribute === state.attribute)
+      );
+    }
+
     this.log('[FLOW] Flow trigger card listeners registered');
   }
 
   /**
    * Get autocomplete list for endpoint selection in flows
    * @param {string} query - Search query from user
-   * @param {boolean} dimmersOnly - If true, only return dimmer endpoints
+   * @param {string[]|null} types - If set, only return endpoints of these DEVICE_TYPES
+   * @param {string|null} capability - If set, only return endpoints with `<capability>.epN`
+   * @param {string[]|null} loadTypes - If set, only return endpoints with these LOAD_TYPES
    * @returns {Promise<Array<{name: string, id: number}>>}
    */
-  async _getEndpointAutocompleteList(query, dimmersOnly = false) {
-    const settings = this.getSettings();
+  async _getEndpointAutocompleteList(query, types = null, capability = null, loadTypes = null) {
     const items = [];
     for (const id in this._endpointTypes) {
-      if (this._endpointTypes[id]) {
+      const deviceType = this._endpointTypes[id];
+      if (deviceType) {
         const endpointNum = parseInt(id, 10);
-        const isDimmer = this._endpointTypes[id] === WallWandDevice.DEVICE_TYPES.DIMMER;
 
-        if (dimmersOnly && !isDimmer) {
+        if (types && !types.includes(deviceType)) {
           continue;
         }
 
-        const customLabel = (settings[`label_ep${endpointNum}`] || '').trim();
-        const capId = isDimmer ? `dim.ep${endpointNum}` : `onoff.ep${endpointNum}`;
-        const defaultLabel = this._getDefaultLabel(endpointNum, isDimmer, capId);
-        const name = customLabel || defaultLabel;
+        if (loadTypes && !loadTypes.includes(this._getLoadType(endpointNum))) {
+          continue;
+        }
+
+        if (capability && !this.hasCapability(`${capability}.ep${endpointNum}`)) {
+          continue;
+        }
 
         items.push({
-          name: name,
+          name: this._getEndpointLabel(endpointNum),
           id: endpointNum,
         });
       }
@@ -284,67 +803,223 @@ module.exports = class WallWandDevice extends ZwaveDevice {
   }
 
   /**
-   * Register listeners on root device for reports without endpoint ID
-   * Uses debouncing to avoid unnecessary syncs when endpoint-specific reports arrive
+   * Listen for switch reports. Encapsulated reports name their endpoint and are applied to it
+   * directly; reports without an endpoint are debounced per kind and only then synced by type.
+   * Registered before discovery, so the endpoint listeners run ahead of the capability report
+   * parsers and still see the previous values when deciding which triggers to fire.
    */
   _registerRootDeviceListeners(node) {
-    if (node?.CommandClass?.COMMAND_CLASS_SWITCH_MULTILEVEL) {
-      const multilevelListener = async () => {
-        // Debounce: wait for endpoint-specific reports first
-        if (this._syncTimeout) {
-          clearTimeout(this._syncTimeout);
-        }
+    for (const [kind, { commandClass, command }] of Object.entries(WallWandDevice.REPORT_KINDS)) {
+      const rootCc = node?.CommandClass?.[commandClass];
+      if (rootCc) {
+        const listener = reportCommand => {
+          if (reportCommand?.name === command) this._onRootReport(kind);
+        };
+        rootCc.on('report', listener);
+        this._listeners.push({ cc: rootCc, event: 'report', listener });
+      }
 
-        this._syncTimeout = setTimeout(async () => {
-          this.log(
-            '[REPORT] Root multilevel detected, no endpoint report received, syncing all dimmers'
-          );
-          try {
-            await this._syncEndpointsByType(WallWandDevice.DEVICE_TYPES.DIMMER);
-          } catch (error) {
-            this.error(
-              '[REPORT] Failed to sync dimmer endpoints after root multilevel report',
-              error
-            );
-          }
-        }, WallWandDevice.SYNC_DEBOUNCE_MS);
-      };
+      for (const [id, endpoint] of Object.entries(node?.MultiChannelNodes || {})) {
+        const cc = endpoint?.CommandClass?.[commandClass];
+        if (!cc) continue;
 
-      node.CommandClass.COMMAND_CLASS_SWITCH_MULTILEVEL.on('report', multilevelListener);
-      this._listeners.push({
-        cc: node.CommandClass.COMMAND_CLASS_SWITCH_MULTILEVEL,
-        event: 'report',
-        listener: multilevelListener,
-      });
+        const endpointNum = parseInt(id, 10);
+        const listener = (reportCommand, payload) => {
+          if (reportCommand?.name === command) this._onEndpointReport(kind, endpointNum, payload);
+        };
+        cc.on('report', listener);
+        this._listeners.push({ cc, event: 'report', listener });
+      }
     }
 
-    if (node?.CommandClass?.COMMAND_CLASS_SWITCH_BINARY) {
-      const binaryListener = async () => {
-        if (this._syncTimeout) {
-          clearTimeout(this._syncTimeout);
-        }
+    this.log('[LISTENERS] Root and endpoint report listeners registered');
+  }
 
-        this._syncTimeout = setTimeout(async () => {
-          this.log(
-            '[REPORT] Root binary detected, no endpoint report received, syncing all switches'
-          );
-          try {
-            await this._syncEndpointsByType(WallWandDevice.DEVICE_TYPES.SWITCH);
-          } catch (error) {
-            this.error('[REPORT] Failed to sync switch endpoints after root binary report', error);
-          }
-        }, WallWandDevice.SYNC_DEBOUNCE_MS);
-      };
+  _getReportSync(kind) {
+    if (!this._reportSyncs[kind]) {
+      this._reportSyncs[kind] = { timer: null, rootReportAt: 0, endpointReportAt: 0 };
+    }
+    return this._reportSyncs[kind];
+  }
+
+  _onRootReport(kind) {
+    // A reply to a panel ping says nothing about the endpoints
+    if (this._isAwaitingGet(0)) return;
+
+    // Replies to our own GETs, syncs and commands do not show that the panel reports by itself
+    if (
+      !this._isInReportSync() &&
+      !this._isPolling &&
+      !this._isAwaitingAnyGet() &&
+      !this._isAnyHomeyInitiated()
+    ) {
+      this._lastUnsolicitedReportAt = Date.now();
+    }
 
-      node.CommandClass.COMMAND_CLASS_SWITCH_BINARY.on('report', binaryListener);
-      this._listeners.push({
-        cc: node.CommandClass.COMMAND_CLASS_SWITCH_BINARY,
-        event: 'report',
-        listener: binaryListener,
+    const sync = this._getReportSync(kind);
+    sync.rootReportAt = Date.now();
+
+    // Each kind has its own timer, so a binary report cannot cancel a pending multilevel sync
+    clearTimeout(sync.timer);
+    sync.timer = setTimeout(() => {
+      sync.timer = null;
+      this._resolveRootReport(kind).catch(error => {
+        this.error(`[REPORT] Failed to sync after root ${kind} report`, error);
       });
+    }, WallWandDevice.SYNC_DEBOUNCE_MS);
+  }
+
+  /**
+   * Sync every endpoint of the kind, unless an encapsulated report around the same time
+   * already told which endpoint changed
+   */
+  async _resolveRootReport(kind) {
+    const sync = this._getReportSync(kind);
+    if (sync.endpointReportAt >= sync.rootReportAt - WallWandDevice.SYNC_DEBOUNCE_MS) {
+      this.log(`[REPORT] Root ${kind} report matched an endpoint report, no sync needed`);
+      return;
+    }
+
+    const { types } = WallWandDevice.REPORT_KINDS[kind];
+    this.log(
+      `[REPORT] Root ${kind} report without endpoint report, syncing all ${types.join('/')}`
+    );
+    const endpoints = Object.keys(this._endpointTypes)
+      .filter(id => types.includes(this._endpointTypes[id]))
+      .map(id => parseInt(id, 10));
+    await this._syncAfterReport(endpoints, async () => {
+      for (const type of types) {
+        await this._syncEndpointsByType(type);
+      }
+    });
+  }
+
+  _onEndpointReport(kind, endpointNum, payload) {
+    this._lastReports[endpointNum] = {
+      command: WallWandDevice.REPORT_KINDS[kind].command,
+      value: payload?.['Current Value'] ?? payload?.Value ?? null,
+      at: Date.now(),
+    };
+
+    // A reply to our own GET is applied by the sync that sent it, and says nothing about presses
+    if (this._isAwaitingGet(endpointNum)) return;
+
+    this._getReportSync(kind).endpointReportAt = Date.now();
+    if (
+      !this._isInReportSync(endpointNum) &&
+      !this._isPolling &&
+      !this._isHomeyInitiated(endpointNum)
+    ) {
+      this._lastUnsolicitedReportAt = Date.now();
+    }
+
+    const deviceType = this._endpointTypes?.[endpointNum];
+    if (!WallWandDevice.REPORT_KINDS[kind].types.includes(deviceType)) return;
+
+    this._syncAfterReport([endpointNum], async () =>
+      this._applyEndpointReport(endpointNum, payload, true)
+    ).catch(error => {
+      this.error(`[REPORT] EP${endpointNum} failed to apply ${kind} report`, error);
+    });
+  }
+
+  /**
+   * Send a GET to an endpoint. Its reply also arrives as a report, so the endpoint counts as
+   * awaiting a reply until shortly after the GET settles.
+   */
+  async _getEndpointState(endpointNum, get) {
+    this._pendingGets[endpointNum] = (this._pendingGets[endpointNum] || 0) + 1;
+    try {
+      return await get();
+    } finally {
+      setTimeout(() => {
+        this._pendingGets[endpointNum]--;
+      }, WallWandDevice.GET_REPLY_GRACE_MS);
+    }
+  }
+
+  _isAwaitingGet(endpointNum) {
+    return (this._pendingGets[endpointNum] || 0) > 0;
+  }
+
+  _isAwaitingAnyGet() {
+    return Object.values(this._pendingGets).some(count => count > 0);
+  }
+
+  /**
+   * Run a sync prompted by an unsolicited report, so the changes it finds on these endpoints
+   * count as physical. Other endpoints changing meanwhile keep their own classification.
+   * @param {number[]} endpoints
+   * @param {Function} sync
+   */
+  async _syncAfterReport(endpoints, sync) {
+    for (const endpointNum of endpoints) {
+      this._reportSyncScopes[endpointNum] = (this._reportSyncScopes[endpointNum] || 0) + 1;
+    }
+    try {
+      await sync();
+    } finally {
+      for (const endpointNum of endpoints) {
+        this._reportSyncScopes[endpointNum]--;
+      }
+    }
+  }
+
+  /**
+   * @param {number} [endpointNum] - Left out: whether any report-prompted sync is running
+   */
+  _isInReportSync(endpointNum) {
+    if (endpointNum === undefined) {
+      return Object.values(this._reportSyncScopes).some(count => count > 0);
+    }
+    return (this._reportSyncScopes[endpointNum] || 0) > 0;
+  }
+
+  /**
+   * Classify a state change that is being applied right now
+   * @returns {string} One of CHANGE_SOURCES
+   */
+  _getChangeSource(endpointNum) {
+    if (this._isHomeyInitiated(endpointNum)) return WallWandDevice.CHANGE_SOURCES.HOMEY;
+    if (this._isInReportSync(endpointNum)) return WallWandDevice.CHANGE_SOURCES.PHYSICAL;
+    return WallWandDevice.CHANGE_SOURCES.UNKNOWN;
+  }
+
+  /**
+   * Listen for CENTRAL_SCENE notifications so keys can be used as scene buttons
+   */
+  _registerCentralSceneListener(node) {
+    const cc = node?.CommandClass?.COMMAND_CLASS_CENTRAL_SCENE;
+    if (!cc) {
+      this.log('[SCENE] Central Scene not supported by this panel');
+      return;
     }
 
-    this.log('[LISTENERS] Root device listeners registered with debouncing');
+    let previousSequence;
+    const sceneListener = (command, payload) => {
+      if (command?.name !== 'CENTRAL_SCENE_NOTIFICATION' || !payload) return;
+
+      // Panels repeat notifications, the sequence number identifies duplicates
+      const sequence = payload['Sequence Number'];
+      if (sequence !== undefined && sequence === previousSequence) return;
+      previousSequence = sequence;
+
+      const key = Number(payload['Scene Number']);
+      const rawAttribute = payload.Properties1?.['Key Attributes'];
+      const attribute = WallWandDevice.KEY_ATTRIBUTES[rawAttribute];
+
+      if (!Number.isFinite(key) || !attribute) {
+        this.log(`[SCENE] Ignoring notification: key ${key}, attribute ${rawAttribute}`);
+        return;
+      }
+
+      this.log(`[SCENE] Key ${key} ${attribute}`);
+      this._triggerButtonPressed(key, attribute);
+    };
+
+    cc.on('report', sceneListener);
+    this._listeners.push({ cc, event: 'report', listener: sceneListener });
+    this.log('[LISTENERS] Central Scene listener registered');
   }
 
   async _discoverAllEndpoints(node) {
@@ -371,23 +1046,45 @@ module.exports = class WallWandDevice extends ZwaveDevice {
     }
   }
 
-  async _discoverOneEndpoint(endpointNum, endpoint) {
+  /**
+   * @param {number} endpointNum
+   * @param {object} endpoint - The endpoint's MultiChannelNode
+   * @param {object} [settings] - Pass the new settings while they are being saved
+   */
+  async _discoverOneEndpoint(endpointNum, endpoint, settings = this.getSettings()) {
     if (!endpoint) {
       return;
     }
 
     const commandClass = endpoint.CommandClass || {};
-    const deviceType = this._detectEndpointType(endpoint, commandClass);
+    const deviceType = this._getEndpointType(endpointNum, endpoint, settings);
+
+    this._discoveryLog[endpointNum] = {
+      deviceClassGeneric: endpoint.deviceClassGeneric,
+      deviceClassSpecific: endpoint.deviceClassSpecific,
+      commandClasses: Object.keys(commandClass),
+      detectedType: deviceType || null,
+    };
 
     if (!deviceType) {
       this.log(
-        `[ENDPOINT ${endpointNum}] Type "${endpoint.deviceClassGeneric}" not supported, removing capabilities`
+        this._getTypeOverride(endpointNum, settings) === WallWandDevice.TYPE_OVERRIDES.IGNORE
+          ? `[ENDPOINT ${endpointNum}] Ignored by settings, removing capabilities`
+          : `[ENDPOINT ${endpointNum}] Type "${endpoint.deviceClassGeneric}" not supported, removing capabilities`
       );
       this._endpointTypes[endpointNum] = null;
       await this._removeEndpointCapabilities(endpointNum);
       return;
     }
 
+    // Known under another type, e.g. its load type changed while the app was not running
+    const knownType = this._endpointTypes[endpointNum];
+    if (knownType && knownType !== deviceType) {
+      this.log(`[ENDPOINT ${endpointNum}] Type changed from ${knownType} to ${deviceType}`);
+      await this._removeEndpointCapabilities(endpointNum);
+      delete this._endpointTypes[endpointNum];
+    }
+
     // If already discovered, just ensure capabilities are registered
     if (this._endpointTypes[endpointNum]) {
       this.log(
@@ -430,25 +1127,112 @@ module.exports = class WallWandDevice extends ZwaveDevice {
     }
   }
 
-  _detectEndpointType(endpoint, commandClass) {
-    const isDimmer =
-      endpoint.deviceClassGeneric === 'GENERIC_TYPE_SWITCH_MULTILEVEL' &&
-      commandClass.COMMAND_CLASS_SWITCH_MULTILEVEL;
+  /**
+   * Type of an endpoint: the type forced in its settings, otherwise the detected type adjusted
+   * for its load type
+   * @returns {string|null} One of DEVICE_TYPES, or null when ignored or unsupported
+   */
+  _getEndpointType(endpointNum, endpoint, settings = this.getSettings()) {
+    const override = this._getTypeOverride(endpointNum, settings);
+    if (override === WallWandDevice.TYPE_OVERRIDES.IGNORE) return null;
 
-    const isSwitch =
-      endpoint.deviceClassGeneric === 'GENERIC_TYPE_SWITCH_BINARY' &&
-      commandClass.COMMAND_CLASS_SWITCH_BINARY;
+    if (override !== WallWandDevice.TYPE_OVERRIDES.AUTO) {
+      const requiredClass = WallWandDevice.REQUIRED_COMMAND_CLASSES[override];
+      if (endpoint.CommandClass?.[requiredClass]) return override;
 
-    if (isDimmer) return WallWandDevice.DEVICE_TYPES.DIMMER;
-    if (isSwitch) return WallWandDevice.DEVICE_TYPES.SWITCH;
-    return null;
+      this.log(
+        `[ENDPOINT ${endpointNum}] Cannot force ${override} without ${requiredClass}, using detection`
+      );
+    }
+
+    const deviceType = this._detectEndpointType(endpoint, endpoint.CommandClass || {});
+
+    // A blind wired to a dimmer output is driven as a cover
+    if (
+      deviceType === WallWandDevice.DEVICE_TYPES.DIMMER &&
+      this._getLoadType(endpointNum, settings) === WallWandDevice.LOAD_TYPES.BLIND
+    ) {
+      return WallWandDevice.DEVICE_TYPES.COVER;
+    }
+    return deviceType;
   }
 
-  async _registerEndpointCapabilities(endpointNum, deviceType) {
-    const onoffCap = `onoff.ep${endpointNum}`;
-    const dimCap = `dim.ep${endpointNum}`;
+  /**
+   * From the endpoint's own `endpoint_type_epN` setting or, for endpoints without one, from the
+   * `endpoint_type_extra` list
+   * @returns {string} One of TYPE_OVERRIDES or a forced DEVICE_TYPES value
+   */
+  _getTypeOverride(endpointNum, settings = this.getSettings()) {
+    const own = settings[`endpoint_type_ep${endpointNum}`];
+    if (own) return own;
 
-    if (deviceType === WallWandDevice.DEVICE_TYPES.DIMMER) {
+    try {
+      const extra = this._parseExtraEndpointTypes(settings.endpoint_type_extra);
+      return extra[endpointNum] || WallWandDevice.TYPE_OVERRIDES.AUTO;
+    } catch (error) {
+      this.error('[TYPE] Ignoring invalid additional endpoint types:', error.message);
+      return WallWandDevice.TYPE_OVERRIDES.AUTO;
+    }
+  }
+
+  /**
+   * Parse `7=dimmer, 8=ignore` (comma or newline separated) into { 7: 'dimmer', 8: 'ignore' }
+   * @throws {Error} On an entry that is not a number and a known type
+   */
+  _parseExtraEndpointTypes(text) {
+    const allowed = [
+      ...Object.values(WallWandDevice.TYPE_OVERRIDES),
+      ...Object.values(WallWandDevice.DEVICE_TYPES),
+    ];
+    const types = {};
+
+    for (const entry of String(text || '').split(/[,\n]/)) {
+      if (!entry.trim()) continue;
+
+      const match = entry.match(/^\s*(\d+)\s*=\s*(\w+)\s*$/);
+      const type = match?.[2].toLowerCase();
+      if (!match || parseInt(match[1], 10) < 1 || !allowed.includes(type)) {
+        throw new Error(
+          `Invalid endpoint type "${entry.trim()}", use number=type with one of ${allowed.join(', ')}`
+        );
+      }
+      types[parseInt(match[1], 10)] = type;
+    }
+
+    return types;
+  }
+
+  _isTypeForced(endpointNum, settings = this.getSettings()) {
+    const override = this._getTypeOverride(endpointNum, settings);
+    return !Object.values(WallWandDevice.TYPE_OVERRIDES).includes(override);
+  }
+
+  _detectEndpointType(endpoint, commandClass) {
+    const isMultilevel =
+      endpoint.deviceClassGeneric === 'GENERIC_TYPE_SWITCH_MULTILEVEL' &&
+      commandClass.COMMAND_CLASS_SWITCH_MULTILEVEL;
+
+    const isCover =
+      commandClass.COMMAND_CLASS_SWITCH_MULTILEVEL &&
+      (endpoint.deviceClassGeneric === 'GENERIC_TYPE_WINDOW_COVERING' ||
+        (isMultilevel &&
+          WallWandDevice.COVER_SPECIFIC_CLASSES.includes(endpoint.deviceClassSpecific)));
+
+    const isSwitch =
+      endpoint.deviceClassGeneric === 'GENERIC_TYPE_SWITCH_BINARY' &&
+      commandClass.COMMAND_CLASS_SWITCH_BINARY;
+
+    if (isCover) return WallWandDevice.DEVICE_TYPES.COVER;
+    if (isMultilevel) return WallWandDevice.DEVICE_TYPES.DIMMER;
+    if (isSwitch) return WallWandDevice.DEVICE_TYPES.SWITCH;
+    return null;
+  }
+
+  async _registerEndpointCapabilities(endpointNum, deviceType) {
+    const onoffCap = `onoff.ep${endpointNum}`;
+    const dimCap = `dim.ep${endpointNum}`;
+
+    if (deviceType === WallWandDevice.DEVICE_TYPES.DIMMER) {
       // First, ensure capabilities exist on the device
       await this._ensureCapability(onoffCap);
       await this._ensureCapability(dimCap);
@@ -457,36 +1241,15 @@ module.exports = class WallWandDevice extends ZwaveDevice {
       await this._delay(50);
 
       // Then register Z-Wave handlers
-      try {
-        this.registerCapability(onoffCap, 'SWITCH_MULTILEVEL', { multiChannelNodeId: endpointNum });
-      } catch (error) {
-        const errorMsg = error.message || error.toString();
-        // Log timeouts and communication errors as info, not errors
-        if (
-          errorMsg.includes('timeout') ||
-          errorMsg.includes('did not respond') ||
-          errorMsg.includes('NO_ACK')
-        ) {
-          this.log(`[CAPABILITY] ${onoffCap} handler registered (device communication pending)`);
-        } else {
-          throw new Error(`Failed to register ${onoffCap}: ${errorMsg}`);
-        }
-      }
-
-      try {
-        this.registerCapability(dimCap, 'SWITCH_MULTILEVEL', { multiChannelNodeId: endpointNum });
-      } catch (error) {
-        const errorMsg = error.message || error.toString();
-        if (
-          errorMsg.includes('timeout') ||
-          errorMsg.includes('did not respond') ||
-          errorMsg.includes('NO_ACK')
-        ) {
-          this.log(`[CAPABILITY] ${dimCap} handler registered (device communication pending)`);
-        } else {
-          throw new Error(`Failed to register ${dimCap}: ${errorMsg}`);
-        }
-      }
+      this._registerEndpointCapability(onoffCap, 'SWITCH_MULTILEVEL', endpointNum);
+      this._registerEndpointCapability(dimCap, 'SWITCH_MULTILEVEL', endpointNum, {
+        reportParser: report => this._parseDimReport(endpointNum, report),
+        reportParserOverride: true,
+      });
+      this._registerCommandHandler(onoffCap, async (value, opts) =>
+        this._switchDimmer(endpointNum, value, opts)
+      );
+      this._registerTransitionListener(dimCap, endpointNum);
     } else if (deviceType === WallWandDevice.DEVICE_TYPES.SWITCH) {
       // First, ensure capability exists on the device
       await this._ensureCapability(onoffCap);
@@ -495,28 +1258,352 @@ module.exports = class WallWandDevice extends ZwaveDevice {
       await this._delay(50);
 
       // Then register Z-Wave handler
-      try {
-        this.registerCapability(onoffCap, 'SWITCH_BINARY', { multiChannelNodeId: endpointNum });
-      } catch (error) {
-        const errorMsg = error.message || error.toString();
-        if (
-          errorMsg.includes('timeout') ||
-          errorMsg.includes('did not respond') ||
-          errorMsg.includes('NO_ACK')
-        ) {
-          this.log(`[CAPABILITY] ${onoffCap} handler registered (device communication pending)`);
-        } else {
-          throw new Error(`Failed to register ${onoffCap}: ${errorMsg}`);
-        }
+      this._registerEndpointCapability(onoffCap, 'SWITCH_BINARY', endpointNum);
+      this._registerCommandHandler(onoffCap, async (value, opts) =>
+        this.executeCapabilitySetCommand(onoffCap, 'SWITCH_BINARY', value, opts)
+      );
+    } else if (deviceType === WallWandDevice.DEVICE_TYPES.COVER) {
+      const stateCap = `windowcoverings_state.ep${endpointNum}`;
+      const positionCap = `windowcoverings_set.ep${endpointNum}`;
+
+      await this._ensureCapability(stateCap);
+      await this._ensureCapability(positionCap);
+
+      await this._delay(50);
+
+      // Position maps straight onto SWITCH_MULTILEVEL 0-99
+      this._registerEndpointCapability(positionCap, 'SWITCH_MULTILEVEL', endpointNum);
+      this._registerCommandHandler(positionCap, async (value, opts) =>
+        this.executeCapabilitySetCommand(positionCap, 'SWITCH_MULTILEVEL', value, opts)
+      );
+
+      // up/idle/down has no system mapping for SWITCH_MULTILEVEL, handle it ourselves
+      this._registerCommandHandler(stateCap, async value =>
+        this._sendCoverCommand(endpointNum, value)
+      );
+    }
+
+    await this._registerMeteringCapabilities(endpointNum);
+  }
+
+  /**
+   * Add power/energy capabilities when the endpoint reports METER or SENSOR_MULTILEVEL power.
+   * Their report listeners come from the system capability mappings.
+   */
+  async _registerMeteringCapabilities(endpointNum) {
+    const commandClass = this._getEndpointNode(endpointNum)?.CommandClass || {};
+    const powerCap = `measure_power.ep${endpointNum}`;
+    const energyCap = `meter_power.ep${endpointNum}`;
+
+    const hasMeter = !!commandClass.COMMAND_CLASS_METER;
+    let hasPowerSensor = false;
+    if (!hasMeter && commandClass.COMMAND_CLASS_SENSOR_MULTILEVEL) {
+      const isPower = await this._probePowerSensor(
+        endpointNum,
+        commandClass.COMMAND_CLASS_SENSOR_MULTILEVEL
+      );
+      // Keep what the endpoint had when the panel is too busy to answer
+      hasPowerSensor = isPower ?? this.hasCapability(powerCap);
+    }
+
+    if (!hasMeter && !hasPowerSensor) {
+      await this._removeIfPresent(energyCap);
+      await this._removeIfPresent(powerCap);
+      return;
+    }
+
+    await this._ensureCapability(powerCap);
+    if (hasMeter) {
+      await this._ensureCapability(energyCap);
+    } else {
+      await this._removeIfPresent(energyCap);
+    }
+
+    await this._delay(50);
+
+    // Prefer METER for instantaneous power, it is what the relays use for accumulated energy too
+    this._registerEndpointCapability(
+      powerCap,
+      hasMeter ? 'METER' : 'SENSOR_MULTILEVEL',
+      endpointNum
+    );
+    if (hasMeter) {
+      this._registerEndpointCapability(energyCap, 'METER', endpointNum);
+    }
+
+    this.log(
+      `[CAPABILITY] EP${endpointNum} metering registered (${hasMeter ? 'METER' : 'SENSOR_MULTILEVEL'})`
+    );
+  }
+
+  /**
+   * Whether an endpoint's SENSOR_MULTILEVEL measures power rather than e.g. temperature.
+   * V1 sensors ignore the requested type and report their only one, so the reply tells either way.
+   * @returns {Promise<boolean|null>} null when the panel did not answer
+   */
+  async _probePowerSensor(endpointNum, cc) {
+    try {
+      const report = await this._withTimeout(
+        cc.SENSOR_MULTILEVEL_GET({ 'Sensor Type': 'Power (version 2)', Properties1: { Scale: 0 } }),
+        WallWandDevice.COMMAND_TIMEOUT_MS,
+        `EP${endpointNum} sensor type timeout`
+      );
+      return report?.['Sensor Type'] === 'Power (version 2)';
+    } catch (error) {
+      this.log(`[CAPABILITY] EP${endpointNum} sensor type unknown: ${error.message || error}`);
+      return null;
+    }
+  }
+
+  /**
+   * Register a Z-Wave capability handler on an endpoint, tolerating communication errors
+   * that occur while the panel is still busy with discovery
+   */
+  _registerEndpointCapability(capabilityId, commandClassId, endpointNum, opts = {}) {
+    // Rediscovery registers again; zwavedriver would add another report listener every time
+    this._unregisterCapabilityReports(capabilityId);
+
+    const cc =
+      this._getEndpointNode(endpointNum)?.CommandClass?.[`COMMAND_CLASS_${commandClassId}`];
+    const before = cc ? cc.listeners('report') : [];
+
+    try {
+      // Switch state is read by the endpoint sync right after discovery, which tells its replies
+      // apart from presses; a GET on start from the driver would look like a press
+      const isSwitchState =
+        commandClassId === 'SWITCH_MULTILEVEL' || commandClassId === 'SWITCH_BINARY';
+      this.registerCapability(capabilityId, commandClassId, {
+        multiChannelNodeId: endpointNum,
+        ...(isSwitchState ? { getOpts: { getOnStart: false } } : {}),
+        ...opts,
+      });
+    } catch (error) {
+      const errorMsg = error.message || error.toString();
+      // Log timeouts and communication errors as info, not errors
+      if (this._isTransientError(error)) {
+        this.log(`[CAPABILITY] ${capabilityId} handler registered (device communication pending)`);
+      } else {
+        throw new Error(`Failed to register ${capabilityId}: ${errorMsg}`);
+      }
+    } finally {
+      if (cc) {
+        this._capabilityListeners[capabilityId] = cc
+          .listeners('report')
+          .filter(listener => !before.includes(listener))
+          .map(listener => ({ cc, listener }));
       }
     }
   }
 
+  /**
+   * Remove the report listeners zwavedriver added for a capability, so a removed capability
+   * stops receiving reports
+   */
+  _unregisterCapabilityReports(capabilityId) {
+    for (const { cc, listener } of this._capabilityListeners[capabilityId] || []) {
+      cc.removeListener('report', listener);
+    }
+    delete this._capabilityListeners[capabilityId];
+  }
+
+  /**
+   * Send dimmer commands so that commands without an explicit duration use the endpoint's
+   * default transition time
+   */
+  _registerTransitionListener(capabilityId, endpointNum) {
+    const isDim = capabilityId.startsWith('dim.');
+
+    this._registerCommandHandler(capabilityId, async (value, opts = {}) =>
+      this.executeCapabilitySetCommand(
+        capabilityId,
+        'SWITCH_MULTILEVEL',
+        // The system parser scales 0-1 to 0-99, so hand it the calibrated level on that scale
+        isDim
+          ? this._toDeviceLevel(endpointNum, value) / WallWandDevice.Z_WAVE_MAX_DIM_VALUE
+          : value,
+        this._withDefaultDuration(endpointNum, opts)
+      )
+    );
+  }
+
+  /**
+   * Per-endpoint trim and curve, falling back to the full linear range, which non-light
+   * loads always use
+   */
+  _getDimCalibration(endpointNum) {
+    const maxLevel = WallWandDevice.Z_WAVE_MAX_DIM_VALUE;
+    // Trim and curves are about how a lamp looks; a fan or heater gets the plain range
+    if (!this._isLightLoad(endpointNum)) {
+      return { min: 1, max: maxLevel, curve: WallWandDevice.DIM_CURVES.linear };
+    }
+
+    let min = Number(this._getEndpointSetting(endpointNum, 'dim_min', 1));
+    let max = Number(this._getEndpointSetting(endpointNum, 'dim_max', maxLevel));
+
+    if (!(min >= 1 && max <= maxLevel && min < max)) {
+      min = 1;
+      max = maxLevel;
+    }
+
+    const curveName = this._getEndpointSetting(endpointNum, 'dim_curve', 'linear');
+    const curve = WallWandDevice.DIM_CURVES[curveName] || WallWandDevice.DIM_CURVES.linear;
+    return { min, max, curve };
+  }
+
+  /**
+   * Homey's 0-1 level to a Z-Wave level within the endpoint's calibrated range
+   * @returns {number} 0 for off, otherwise min-max
+   */
+  _toDeviceLevel(endpointNum, value01) {
+    const value = Math.max(0, Math.min(1, Number(value01) || 0));
+    if (value === 0) return 0;
+
+    const { min, max, curve } = this._getDimCalibration(endpointNum);
+    return Math.round(min + curve.toDevice(value) * (max - min));
+  }
+
+  /**
+   * A Z-Wave level back to Homey's 0-1; levels outside the calibrated range are clamped
+   */
+  _fromDeviceLevel(endpointNum, level) {
+    if (!(level > 0)) return 0;
+    // "On at last level": show the level we last saw until the actual level is reported
+    if (level === 255) return this._lastLevels[endpointNum] ?? 1;
+
+    const { min, max, curve } = this._getDimCalibration(endpointNum);
+    const linear = (Math.max(min, Math.min(max, level)) - min) / (max - min);
+
+    // Keep an endpoint that is on above 0, even at the bottom of its range
+    return Math.max(0.01, Math.round(curve.fromDevice(linear) * 100) / 100);
+  }
+
+  _parseDimReport(endpointNum, report) {
+    if (!report) return null;
+
+    const raw = report['Current Value (Raw)'] || report['Value (Raw)'];
+    const level = raw ? raw[0] : (report['Current Value'] ?? report.Value);
+    return typeof level === 'number' ? this._fromDeviceLevel(endpointNum, level) : null;
+  }
+
+  _withDefaultDuration(endpointNum, opts = {}) {
+    if (typeof opts.duration === 'number') return opts;
+
+    const seconds = Number(this._getEndpointSetting(endpointNum, 'dim_duration', 0));
+    if (!Number.isFinite(seconds) || seconds <= 0) return opts;
+
+    return { ...opts, duration: seconds * 1000 };
+  }
+
+  /**
+   * Drive a cover endpoint up, down or stop it where it is
+   * @param {number} endpointNum
+   * @param {'up'|'idle'|'down'} state
+   */
+  async _sendCoverCommand(endpointNum, state) {
+    const positionCap = `windowcoverings_set.ep${endpointNum}`;
+
+    if (state === 'up' || state === 'down') {
+      await this.executeCapabilitySetCommand(
+        positionCap,
+        'SWITCH_MULTILEVEL',
+        state === 'up' ? 1 : 0
+      );
+      return;
+    }
+
+    await this.stopLevelChange(endpointNum);
+  }
+
+  /**
+   * Start ramping a multilevel endpoint up or down, like holding the physical key
+   * @param {number} endpointNum
+   * @param {'up'|'down'} direction
+   */
+  async startLevelChange(endpointNum, direction) {
+    const cc = this._getEndpointNode(endpointNum)?.CommandClass?.COMMAND_CLASS_SWITCH_MULTILEVEL;
+    if (!cc || typeof cc.SWITCH_MULTILEVEL_START_LEVEL_CHANGE !== 'function') {
+      throw new Error(`Endpoint ${endpointNum} does not support level change`);
+    }
+
+    this.cancelFade(endpointNum);
+    this.log(`[LEVEL] EP${endpointNum} start level change ${direction}`);
+
+    const down = direction === 'down';
+    const send = () => {
+      // The ramp reports as it goes and when it ends, all of it our doing
+      this._markHomeyCommand(endpointNum, WallWandDevice.LEVEL_CHANGE_ECHO_MS);
+      return cc.SWITCH_MULTILEVEL_START_LEVEL_CHANGE(
+        this._buildStartLevelChangePayload(cc.version, down)
+      );
+    };
+
+    // Ramping up switches the endpoint on, so it is subject to its interlock group
+    await (down ? send() : this._runInterlocked(endpointNum, send));
+  }
+
+  /**
+   * Stop a running level change and read back the level the endpoint stopped at
+   */
+  async stopLevelChange(endpointNum) {
+    const cc = this._getEndpointNode(endpointNum)?.CommandClass?.COMMAND_CLASS_SWITCH_MULTILEVEL;
+    if (!cc || typeof cc.SWITCH_MULTILEVEL_STOP_LEVEL_CHANGE !== 'function') {
+      throw new Error(`Endpoint ${endpointNum} does not support stop`);
+    }
+
+    this.log(`[LEVEL] EP${endpointNum} stop level change`);
+    this._markHomeyCommand(endpointNum);
+    await cc.SWITCH_MULTILEVEL_STOP_LEVEL_CHANGE();
+    this._markHomeyCommand(endpointNum);
+
+    await this._delay(WallWandDevice.LEVEL_CHANGE_SYNC_DELAY_MS);
+    // A failed read here says nothing about what the endpoint is
+    await this._syncOneEndpointState(endpointNum, this._getEndpointNode(endpointNum), {
+      demote: false,
+    });
+  }
+
+  /**
+   * START_LEVEL_CHANGE moved its flags from "Level" to "Properties1" in V3 and gained a
+   * duration in V2; always ramp from the current level
+   */
+  _buildStartLevelChangePayload(version = 1, down = false) {
+    if (version >= 3) {
+      return {
+        Properties1: {
+          'Inc Dec': 3, // No secondary switch change
+          'Ignore Start Level': true,
+          'Up/ Down': down ? 1 : 0,
+        },
+        'Start Level': 0,
+        'Dimming Duration': 0xff, // Factory default
+        'Step Size': 0,
+      };
+    }
+
+    const payload = {
+      Level: {
+        'Ignore Start Level': true,
+        'Up/ Down': down,
+      },
+      'Start Level': 0,
+    };
+
+    if (version === 2) {
+      payload['Dimming Duration'] = 0xff;
+    }
+
+    return payload;
+  }
+
+  _getEndpointNode(endpointNum) {
+    return this.node?.MultiChannelNodes?.[endpointNum];
+  }
+
   _isValidReport(report, requiredField) {
     return report && typeof report === 'object' && requiredField in report;
   }
 
-  async _syncAllEndpointStates(node) {
+  async _syncAllEndpointStates(node, options = {}) {
     const endpoints = node.MultiChannelNodes || {};
     const discoveredIds = Object.keys(this._endpointTypes);
 
@@ -524,7 +1611,7 @@ module.exports = class WallWandDevice extends ZwaveDevice {
 
     for (const id of discoveredIds) {
       const endpointNum = parseInt(id, 10);
-      await this._syncOneEndpointState(endpointNum, endpoints[id]);
+      await this._syncOneEndpointState(endpointNum, endpoints[id], options);
     }
   }
 
@@ -554,9 +1641,26 @@ module.exports = class WallWandDevice extends ZwaveDevice {
     }
   }
 
-  async _syncOneEndpointState(endpointNum, endpoint) {
+  /**
+   * Read an endpoint's state into its capabilities. With `demote: false` a failed read is
+   * treated as transient and the endpoint keeps its type and capabilities.
+   * @param {number} endpointNum
+   * @param {object} endpoint
+   * @param {{ demote?: boolean, settings?: object }} [options] `settings` are the ones being
+   *   saved, when called from onSettings where getSettings() still returns the old values
+   */
+  async _syncOneEndpointState(
+    endpointNum,
+    endpoint,
+    { demote = true, settings = this.getSettings() } = {}
+  ) {
     const deviceType = this._endpointTypes[endpointNum];
 
+    if (!endpoint && !demote) {
+      this.log(`[SYNC] EP${endpointNum} not available, will retry on next sync`);
+      return;
+    }
+
     if (!endpoint) {
       this.log(`[ENDPOINT ${endpointNum}] No longer available, removing capabilities`);
       await this._removeEndpointCapabilities(endpointNum);
@@ -577,11 +1681,14 @@ module.exports = class WallWandDevice extends ZwaveDevice {
         syncSuccess = await this._syncDimmerState(endpointNum, commandClass, onoffCap, dimCap);
       } else if (deviceType === WallWandDevice.DEVICE_TYPES.SWITCH) {
         syncSuccess = await this._syncSwitchState(endpointNum, commandClass, onoffCap, dimCap);
+      } else if (deviceType === WallWandDevice.DEVICE_TYPES.COVER) {
+        syncSuccess = await this._syncCoverState(endpointNum, commandClass);
       }
 
       if (!syncSuccess) {
         throw new Error('Invalid or missing report during sync');
       }
+      this._markSeen(endpointNum);
     } catch (error) {
       const errorMsg = error.message || error.toString();
 
@@ -594,6 +1701,17 @@ module.exports = class WallWandDevice extends ZwaveDevice {
         return;
       }
 
+      if (!demote) {
+        this.log(`[SYNC] EP${endpointNum} sync failed: ${errorMsg}, will retry on next sync`);
+        return;
+      }
+
+      // A type forced in the settings is kept, the endpoint may just be misbehaving
+      if (this._isTypeForced(endpointNum, settings)) {
+        this.log(`[SYNC] EP${endpointNum} sync failed: ${errorMsg}, keeping forced type`);
+        return;
+      }
+
       // For other errors, mark as unsupported
       this.log(`[SYNC] EP${endpointNum} sync failed: ${errorMsg}`);
       this.log(`[SYNC] Marking EP${endpointNum} as unsupported and removing capabilities`);
@@ -613,19 +1731,10 @@ module.exports = class WallWandDevice extends ZwaveDevice {
       return false;
     }
 
-    const report = await cc.SWITCH_MULTILEVEL_GET();
-
-    if (this._isValidReport(report, 'Current Value')) {
-      const dimValue = report['Current Value'];
-      this.log(
-        `[SYNC] EP${endpointNum} dimmer: ${dimValue}/${WallWandDevice.Z_WAVE_MAX_DIM_VALUE}`
-      );
-      this._setOnOff(onoffCap, dimValue > 0, endpointNum);
-      this._setDim(dimCap, dimValue / WallWandDevice.Z_WAVE_MAX_DIM_VALUE, endpointNum);
-      return true;
-    }
-
-    return false;
+    return this._applyEndpointReport(
+      endpointNum,
+      await this._getEndpointState(endpointNum, () => cc.SWITCH_MULTILEVEL_GET())
+    );
   }
 
   async _syncSwitchState(endpointNum, commandClass, onoffCap, dimCap) {
@@ -638,11 +1747,82 @@ module.exports = class WallWandDevice extends ZwaveDevice {
       return false;
     }
 
-    const report = await cc.SWITCH_BINARY_GET();
-    if (this._isValidReport(report, 'Value')) {
+    return this._applyEndpointReport(
+      endpointNum,
+      await this._getEndpointState(endpointNum, () => cc.SWITCH_BINARY_GET())
+    );
+  }
+
+  async _syncCoverState(endpointNum, commandClass) {
+    const stateCap = `windowcoverings_state.ep${endpointNum}`;
+    const positionCap = `windowcoverings_set.ep${endpointNum}`;
+
+    await this._removeIfPresent(`dim.ep${endpointNum}`);
+    await this._removeIfPresent(`onoff.ep${endpointNum}`);
+    await this._ensureCapability(stateCap);
+    await this._ensureCapability(positionCap);
+
+    const cc = commandClass.COMMAND_CLASS_SWITCH_MULTILEVEL;
+    if (!cc || typeof cc.SWITCH_MULTILEVEL_GET !== 'function') {
+      this.error(`[SYNC] EP${endpointNum} SWITCH_MULTILEVEL not available`);
+      return false;
+    }
+
+    return this._applyEndpointReport(
+      endpointNum,
+      await this._getEndpointState(endpointNum, () => cc.SWITCH_MULTILEVEL_GET())
+    );
+  }
+
+  /**
+   * Apply a SWITCH_MULTILEVEL or SWITCH_BINARY report, from a GET or sent by the endpoint
+   * @param {number} endpointNum
+   * @param {object} report
+   * @param {boolean} [isPress] - Sent by the endpoint itself, so it stands for one button press
+   * @returns {boolean} Whether the report held a value for the endpoint's type
+   */
+  _applyEndpointReport(endpointNum, report, isPress = false) {
+    const deviceType = this._endpointTypes[endpointNum];
+    const onoffCap = `onoff.ep${endpointNum}`;
+    const wasOn = this.hasCapability(onoffCap) && this.getCapabilityValue(onoffCap) === true;
+
+    if (deviceType === WallWandDevice.DEVICE_TYPES.DIMMER) {
+      if (!this._isValidReport(report, 'Current Value')) return false;
+
+      const dimValue = report['Current Value'];
+      this.log(
+        `[SYNC] EP${endpointNum} dimmer: ${dimValue}/${WallWandDevice.Z_WAVE_MAX_DIM_VALUE}`
+      );
+      this._setOnOff(onoffCap, dimValue > 0, endpointNum);
+      this._setDim(
+        `dim.ep${endpointNum}`,
+        this._fromDeviceLevel(endpointNum, dimValue),
+        endpointNum
+      );
+      this._handleAutoOffReport(endpointNum, wasOn, dimValue > 0, isPress);
+      return true;
+    }
+
+    if (deviceType === WallWandDevice.DEVICE_TYPES.SWITCH) {
+      if (!this._isValidReport(report, 'Value')) return false;
+
       const isOn = report.Value === 'on/enable' || report.Value === 1;
       this.log(`[SYNC] EP${endpointNum} switch: ${isOn}`);
       this._setOnOff(onoffCap, isOn, endpointNum);
+      this._handleAutoOffReport(endpointNum, wasOn, isOn, isPress);
+      return true;
+    }
+
+    if (deviceType === WallWandDevice.DEVICE_TYPES.COVER) {
+      if (!this._isValidReport(report, 'Current Value')) return false;
+
+      const position = report['Current Value'];
+      this.log(`[SYNC] EP${endpointNum} cover: ${position}/${WallWandDevice.Z_WAVE_MAX_DIM_VALUE}`);
+      this._setCoverPosition(
+        `windowcoverings_set.ep${endpointNum}`,
+        position / WallWandDevice.Z_WAVE_MAX_DIM_VALUE,
+        endpointNum
+      );
       return true;
     }
 
@@ -651,33 +1831,26 @@ module.exports = class WallWandDevice extends ZwaveDevice {
 
   async _cleanupOrphanedEndpoints() {
     this.log('[CLEANUP] Checking for orphaned endpoint capabilities');
-    const manifestCapabilities = this.driver.manifest.capabilities || [];
-
-    let maxManifestEndpoint = 0;
-    for (const capId of manifestCapabilities) {
-      const match = capId.match(/\.ep(\d+)$/);
-      if (match && match[1]) {
-        const endpointNum = parseInt(match[1], 10);
-        if (endpointNum > maxManifestEndpoint) {
-          maxManifestEndpoint = endpointNum;
-        }
-      }
-    }
 
-    if (maxManifestEndpoint === 0) {
-      this.log('[CLEANUP] No endpoint capabilities in manifest');
+    // Driven by what the device actually has, so endpoints beyond the manifest are covered too
+    const endpointNums = this._getEndpointNumbersWithCapabilities();
+
+    if (endpointNums.length === 0) {
+      this.log('[CLEANUP] No endpoint capabilities on device');
       return;
     }
 
-    for (let i = 1; i <= maxManifestEndpoint; i++) {
+    for (const i of endpointNums) {
+      const isIgnored = this._getTypeOverride(i) === WallWandDevice.TYPE_OVERRIDES.IGNORE;
+      if (!isIgnored && this._isTypeForced(i)) continue;
+
       if (
+        isIgnored ||
         !Object.prototype.hasOwnProperty.call(this._endpointTypes, i) ||
         this._endpointTypes[i] === null
       ) {
-        if (this.hasCapability(`onoff.ep${i}`) || this.hasCapability(`dim.ep${i}`)) {
-          this.log(`[CLEANUP] EP${i} is orphaned or unsupported, removing capabilities`);
-          await this._removeEndpointCapabilities(i);
-        }
+        this.log(`[CLEANUP] EP${i} is orphaned or unsupported, removing capabilities`);
+        await this._removeEndpointCapabilities(i);
       }
     }
   }
@@ -694,66 +1867,209 @@ module.exports = class WallWandDevice extends ZwaveDevice {
   }
 
   async _applyLabelToEndpoint(endpointNum, settings) {
-    // Sanitize user input
-    const rawLabel = settings[`label_ep${endpointNum}`] || '';
-    const customLabel = rawLabel
-      .trim()
-      .substring(0, 50) // Limit length
-      .replace(/[<>]/g, ''); // Remove potential HTML
+    const customLabel = this._getCustomLabel(endpointNum, settings);
 
-    const onoffCap = `onoff.ep${endpointNum}`;
-    const dimCap = `dim.ep${endpointNum}`;
-    const isDimmer = this.hasCapability(dimCap);
-    const capId = isDimmer ? dimCap : onoffCap;
+    const deviceType = this._endpointTypes[endpointNum];
+    const capId = this._getPrimaryCapability(endpointNum, deviceType);
 
-    const defaultLabel = this._getDefaultLabel(endpointNum, isDimmer, capId);
+    const loadType = this._getLoadType(endpointNum, settings);
+    const defaultLabel = this._getDefaultLabel(endpointNum, deviceType, capId, loadType);
     const finalLabel = customLabel || defaultLabel;
 
     try {
-      if (this.hasCapability(onoffCap)) {
-        await this._setTitle(onoffCap, finalLabel);
-      }
-      if (isDimmer && this.hasCapability(dimCap)) {
-        await this._setTitle(dimCap, finalLabel);
+      for (const cap of this._getEndpointCapabilities(endpointNum)) {
+        if (this.hasCapability(cap)) {
+          const base = cap.split('.')[0];
+          const suffix =
+            loadType === WallWandDevice.LOAD_TYPES.FAN && base === 'dim'
+              ? 'Speed'
+              : WallWandDevice.CAPABILITY_TITLE_SUFFIXES[base];
+          await this._setTitle(cap, suffix ? `${finalLabel} ${suffix}` : finalLabel);
+        }
       }
     } catch (error) {
       this.error(`[LABEL] Failed to set label for EP${endpointNum}:`, error.message || error);
     }
   }
 
-  _getDefaultLabel(endpointNum, isDimmer, capabilityId) {
+  _getDefaultLabel(
+    endpointNum,
+    deviceType,
+    capabilityId,
+    loadType = this._getLoadType(endpointNum)
+  ) {
+    const loadLabel = WallWandDevice.LOAD_TYPE_LABELS[loadType];
+    if (loadLabel) {
+      return `${loadLabel} ${endpointNum}`;
+    }
+
     const manifestDefault = this.driver?.manifest?.capabilitiesOptions?.[capabilityId]?.title?.en;
 
     if (manifestDefault) {
       return manifestDefault;
     }
 
-    const typeLabel = isDimmer ? 'Dimmer' : 'Switch';
+    let typeLabel = 'Switch';
+    if (deviceType === WallWandDevice.DEVICE_TYPES.DIMMER) typeLabel = 'Dimmer';
+    if (deviceType === WallWandDevice.DEVICE_TYPES.COVER) typeLabel = 'Cover';
     return `${typeLabel} ${endpointNum}`;
   }
 
-  async _cleanupAllEndpoints() {
-    this._endpointTypes = {};
+  /**
+   * The capability that represents an endpoint in the UI and carries its default title
+   */
+  _getPrimaryCapability(endpointNum, deviceType) {
+    if (deviceType === WallWandDevice.DEVICE_TYPES.DIMMER) return `dim.ep${endpointNum}`;
+    if (deviceType === WallWandDevice.DEVICE_TYPES.COVER) {
+      return `windowcoverings_set.ep${endpointNum}`;
+    }
+    return `onoff.ep${endpointNum}`;
+  }
+
+  _getEndpointCapabilities(endpointNum) {
+    return WallWandDevice.ENDPOINT_CAPABILITIES.map(cap => `${cap}.ep${endpointNum}`);
+  }
+
+  /**
+   * @returns {number|null} The endpoint number of an `<capability>.epN` id
+   */
+  _getEndpointNumber(capabilityId) {
+    const match = /\.ep(\d+)$/.exec(capabilityId || '');
+    return match ? parseInt(match[1], 10) : null;
+  }
+
+  _isEndpointCapability(capabilityId) {
+    const [base, suffix] = capabilityId.split('.');
+    return WallWandDevice.ENDPOINT_CAPABILITIES.includes(base) && /^ep\d+$/.test(suffix || '');
+  }
+
+  /**
+   * Endpoint numbers that currently have at least one capability on the device
+   * @returns {number[]}
+   */
+  _getEndpointNumbersWithCapabilities() {
+    const endpointNums = new Set();
+    for (const capId of this.getCapabilities()) {
+      if (this._isEndpointCapability(capId)) {
+        endpointNums.add(parseInt(capId.split('.ep')[1], 10));
+      }
+    }
+    return [...endpointNums].sort((a, b) => a - b);
+  }
+
+  async _cleanupAllEndpoints() {
+    this._endpointTypes = {};
     await this.setStoreValue('endpointTypes', {});
 
-    const manifestCapabilities = this.driver.manifest.capabilities || [];
-    const endpointCapabilities = manifestCapabilities.filter(id => id.match(/\.ep\d+$/));
+    const endpointCapabilities = this.getCapabilities().filter(capId =>
+      this._isEndpointCapability(capId)
+    );
     const cleanupPromises = endpointCapabilities.map(capId => this._removeIfPresent(capId));
     await Promise.all(cleanupPromises);
     await this.setSettings(this._blankLabels());
   }
 
   async _removeEndpointCapabilities(endpointNum) {
-    await this._removeIfPresent(`dim.ep${endpointNum}`);
-    await this._removeIfPresent(`onoff.ep${endpointNum}`);
+    // Remove in reverse so dim goes before onoff
+    const capabilities = this._getEndpointCapabilities(endpointNum).reverse();
+    for (const cap of capabilities) {
+      await this._removeIfPresent(cap);
+    }
   }
 
   _blankLabels() {
     const labels = {};
-    const manifestSettings = this.driver.manifest.settings || [];
-    for (const setting of manifestSettings) {
-      if (setting.id.startsWith('label_ep')) {
-        labels[setting.id] = '';
+    for (const key of Object.keys(this.getSettings())) {
+      if (key.startsWith('label_')) {
+        labels[key] = '';
+      }
+    }
+    return labels;
+  }
+
+  /**
+   * Custom label for an endpoint, from its own `label_epN` setting or, for endpoints without
+   * one, from the `label_extra` list
+   * @returns {string} Sanitized label, or '' when none is set
+   */
+  _getCustomLabel(endpointNum, settings) {
+    const rawLabel =
+      settings[`label_ep${endpointNum}`] ||
+      this._parseExtraLabels(settings.label_extra)[endpointNum] ||
+      '';
+
+    // Sanitize user input
+    return rawLabel
+      .trim()
+      .substring(0, 50) // Limit length
+      .replace(/[<>]/g, ''); // Remove potential HTML
+  }
+
+  /**
+   * Read a per-endpoint `<key>_epN` setting, falling back for endpoints without one
+   */
+  _getEndpointSetting(endpointNum, key, fallback) {
+    const value = this.getSetting(`${key}_ep${endpointNum}`);
+    return value === null || value === undefined || value === '' ? fallback : value;
+  }
+
+  /**
+   * @param {number} endpointNum
+   * @param {object} [settings] - Pass the new settings while they are being saved
+   * @returns {string} One of LOAD_TYPES
+   */
+  _getLoadType(endpointNum, settings = this.getSettings()) {
+    return settings[`load_type_ep${endpointNum}`] || WallWandDevice.LOAD_TYPES.AUTO;
+  }
+
+  _isLightLoad(endpointNum, settings = this.getSettings()) {
+    return WallWandDevice.LIGHT_LOADS.includes(this._getLoadType(endpointNum, settings));
+  }
+
+  getEndpointDeviceClass(endpointNum, settings = this.getSettings()) {
+    return (
+      WallWandDevice.DEVICE_CLASSES[this._getLoadType(endpointNum, settings)] ||
+      WallWandDevice.DEVICE_CLASSES[this._endpointTypes?.[endpointNum]] ||
+      'other'
+    );
+  }
+
+  /**
+   * Rediscover an endpoint when its type or load type setting changes what it is, e.g. a blind
+   * on a dimmer output, and let its endpoint device update its class
+   */
+  async _applyEndpointTypeSettings(endpointNum, settings) {
+    const endpoint = this._getEndpointNode(endpointNum);
+
+    if (endpoint) {
+      const previousType = this._endpointTypes[endpointNum] || null;
+      const deviceType = this._getEndpointType(endpointNum, endpoint, settings);
+
+      if (deviceType !== previousType) {
+        this.log(`[TYPE] EP${endpointNum} changes from ${previousType} to ${deviceType}`);
+        await this._removeEndpointCapabilities(endpointNum);
+        delete this._endpointTypes[endpointNum];
+        await this._discoverOneEndpoint(endpointNum, endpoint, settings);
+
+        if (this._endpointTypes[endpointNum]) {
+          await this._syncOneEndpointState(endpointNum, endpoint, { settings });
+        }
+        await this.setStoreValue('endpointTypes', this._endpointTypes);
+      }
+    }
+
+    this.emit('endpointLoad', endpointNum, this.getEndpointDeviceClass(endpointNum, settings));
+  }
+
+  /**
+   * Parse `7=Hall, 8=Porch` (comma or newline separated) into { 7: 'Hall', 8: 'Porch' }
+   */
+  _parseExtraLabels(text) {
+    const labels = {};
+    for (const entry of String(text || '').split(/[,\n]/)) {
+      const match = entry.match(/^\s*(\d+)\s*=\s*(.+?)\s*$/);
+      if (match) {
+        labels[parseInt(match[1], 10)] = match[2];
       }
     }
     return labels;
@@ -775,6 +2091,7 @@ module.exports = class WallWandDevice extends ZwaveDevice {
   }
 
   async _removeIfPresent(cap) {
+    this._unregisterCapabilityReports(cap);
     if (this.hasCapability(cap)) {
       await this.removeCapability(cap).catch(err => {
         const errorMsg = err.message || err.toString();
@@ -791,11 +2108,10 @@ module.exports = class WallWandDevice extends ZwaveDevice {
   }
 
   _getEndpointLabel(endpointNum) {
-    const settings = this.getSettings();
-    const customLabel = (settings[`label_ep${endpointNum}`] || '').trim();
-    const isDimmer = this._endpointTypes[endpointNum] === WallWandDevice.DEVICE_TYPES.DIMMER;
-    const capId = isDimmer ? `dim.ep${endpointNum}` : `onoff.ep${endpointNum}`;
-    const defaultLabel = this._getDefaultLabel(endpointNum, isDimmer, capId);
+    const customLabel = this._getCustomLabel(endpointNum, this.getSettings());
+    const deviceType = this._endpointTypes[endpointNum];
+    const capId = this._getPrimaryCapability(endpointNum, deviceType);
+    const defaultLabel = this._getDefaultLabel(endpointNum, deviceType, capId);
     return customLabel || defaultLabel;
   }
 
@@ -828,20 +2144,40 @@ module.exports = class WallWandDevice extends ZwaveDevice {
     }
   }
 
-  async _triggerEndpointTurnedOn(endpointNum) {
-    await this._triggerEndpoint('endpoint_turned_on', endpointNum);
+  async _triggerEndpointTurnedOn(endpointNum, source) {
+    const tokens = { source, ...this._getUsageTokens(endpointNum) };
+    await this._triggerEndpoint('endpoint_turned_on', endpointNum, tokens);
+    if (source === WallWandDevice.CHANGE_SOURCES.PHYSICAL) {
+      await this._triggerEndpoint('endpoint_turned_on_by_button', endpointNum, { source });
+    }
+  }
+
+  async _triggerEndpointTurnedOff(endpointNum, source) {
+    const onMinutes = Math.round((this._usageStats[endpointNum]?.lastOnMs || 0) / 60000);
+    const tokens = { source, on_minutes: onMinutes, ...this._getUsageTokens(endpointNum) };
+    await this._triggerEndpoint('endpoint_turned_off', endpointNum, tokens);
+    if (source === WallWandDevice.CHANGE_SOURCES.PHYSICAL) {
+      await this._triggerEndpoint('endpoint_turned_off_by_button', endpointNum, { source });
+    }
   }
 
-  async _triggerEndpointTurnedOff(endpointNum) {
-    await this._triggerEndpoint('endpoint_turned_off', endpointNum);
+  async _triggerEndpointDimChanged(endpointNum, dimValue, source) {
+    const tokens = { dim_value: dimValue, source };
+    await this._triggerEndpoint('endpoint_dim_changed', endpointNum, tokens);
+    if (source === WallWandDevice.CHANGE_SOURCES.PHYSICAL) {
+      await this._triggerEndpoint('endpoint_dim_changed_by_button', endpointNum, tokens);
+    }
   }
 
-  async _triggerEndpointDimChanged(endpointNum, dimValue) {
-    await this._triggerEndpoint('endpoint_dim_changed', endpointNum, { dim_value: dimValue });
+  async _triggerEndpointStateChanged(endpointNum, state, source) {
+    await this._triggerEndpoint('endpoint_state_changed', endpointNum, { state, source });
   }
 
-  async _triggerEndpointStateChanged(endpointNum, state) {
-    await this._triggerEndpoint('endpoint_state_changed', endpointNum, { state });
+  async _triggerEndpointCoverPositionChanged(endpointNum, position, source) {
+    await this._triggerEndpoint('endpoint_cover_position_changed', endpointNum, {
+      position,
+      source,
+    });
   }
 
   _setOnOff(cap, value, endpointNum) {
@@ -868,13 +2204,18 @@ module.exports = class WallWandDevice extends ZwaveDevice {
 
     if (oldValue === newValue) return;
 
+    const source = this._getChangeSource(endpointNum);
+    if (newValue && source !== WallWandDevice.CHANGE_SOURCES.HOMEY) {
+      this._checkInterlock(endpointNum);
+    }
+
     if (newValue) {
-      this._triggerEndpointTurnedOn(endpointNum);
+      this._triggerEndpointTurnedOn(endpointNum, source);
     } else {
-      this._triggerEndpointTurnedOff(endpointNum);
+      this._triggerEndpointTurnedOff(endpointNum, source);
     }
 
-    this._triggerEndpointStateChanged(endpointNum, newValue);
+    this._triggerEndpointStateChanged(endpointNum, newValue, source);
   }
 
   _setDim(cap, value01, endpointNum) {
@@ -907,55 +2248,1838 @@ module.exports = class WallWandDevice extends ZwaveDevice {
 
     if (oldValue === normalizedValue) return;
 
-    this._triggerEndpointDimChanged(endpointNum, normalizedValue);
+    this._triggerEndpointDimChanged(
+      endpointNum,
+      normalizedValue,
+      this._getChangeSource(endpointNum)
+    );
+  }
+
+  async _triggerButtonPressed(key, attribute) {
+    try {
+      const trigger = this.homey.flow.getDeviceTriggerCard('button_pressed');
+      if (!trigger) return;
+
+      // Scene notifications only come from someone at the panel
+      const source = WallWandDevice.CHANGE_SOURCES.PHYSICAL;
+      await trigger.trigger(this, { key, attribute, source }, { key, attribute });
+      this.log(`[FLOW] Triggered 'button_pressed' for key ${key} (${attribute})`);
+    } catch (error) {
+      this.error(
+        `[FLOW] Failed to trigger 'button_pressed' for key ${key}:`,
+        error.message || error
+      );
+    }
+  }
+
+  _setCoverPosition(cap, value01, endpointNum) {
+    if (!cap || typeof cap !== 'string') {
+      this.error('[COVER] Invalid capability ID');
+      return;
+    }
+
+    if (!this.hasCapability(cap)) {
+      // Silently ignore if capability doesn't exist yet (race condition during discovery)
+      return;
+    }
+
+    const normalizedValue = Math.max(0, Math.min(1, Number(value01) || 0));
+    const oldValue = this.getCapabilityValue(cap);
+
+    this.setCapabilityValue(cap, normalizedValue).catch(err => {
+      const errorMsg = err.message || err.toString();
+      if (!errorMsg.includes('Invalid Capability')) {
+        this.error(`[COVER] Failed to set ${cap} to ${normalizedValue}: ${errorMsg}`);
+      }
+    });
+
+    // A synced position means the motor is at rest
+    const stateCap = `windowcoverings_state.ep${endpointNum}`;
+    if (this.hasCapability(stateCap)) {
+      this.setCapabilityValue(stateCap, 'idle').catch(err => {
+        this.log(`[COVER] Note setting ${stateCap}: ${err.message || err}`);
+      });
+    }
+
+    if (oldValue === normalizedValue) return;
+
+    this._triggerEndpointCoverPositionChanged(
+      endpointNum,
+      normalizedValue,
+      this._getChangeSource(endpointNum)
+    );
   }
 
   // ============================================================
-  // Flow Condition Handlers
+  // Fades
   // ============================================================
 
-  async _handleEndpointIsOn(args) {
-    if (!args.endpoint?.id) {
-      this.error('[FLOW] Invalid endpoint in condition');
-      return false;
+  /**
+   * Fade a dimmer endpoint between two levels by stepping through the command queue, so it
+   * works even when the firmware ignores the SWITCH_MULTILEVEL Duration field.
+   * Resolves once the fade has been started; a new fade on the endpoint replaces it.
+   * @param {number} endpointNum
+   * @param {number} from - Start level 0-1
+   * @param {number} to - Target level 0-1
+   * @param {number} durationMs
+   */
+  async fadeEndpoint(endpointNum, from, to, durationMs) {
+    const dimCap = `dim.ep${endpointNum}`;
+    if (!this.hasCapability(dimCap)) {
+      throw new Error(`Endpoint ${endpointNum} does not have a dim capability`);
     }
 
-    const endpointNum = args.endpoint.id;
-    if (!this._endpointTypes[endpointNum]) {
-      this.error(`[FLOW] Endpoint ${endpointNum} not found or unsupported`);
-      return false;
+    const start = Math.max(0, Math.min(1, Number(from) || 0));
+    const end = Math.max(0, Math.min(1, Number(to) || 0));
+    const duration = Math.max(0, Number(durationMs) || 0);
+
+    // One step per Z-Wave level, but never faster than FADE_MIN_STEP_MS
+    const levels = Math.round(Math.abs(end - start) * WallWandDevice.Z_WAVE_MAX_DIM_VALUE);
+    const steps = Math.max(
+      1,
+      Math.min(levels, Math.floor(duration / WallWandDevice.FADE_MIN_STEP_MS))
+    );
+
+    const fade = { cancelled: false };
+    this.cancelFade(endpointNum);
+    this._fades[endpointNum] = fade;
+
+    this.log(`[FADE] EP${endpointNum} ${start} -> ${end} over ${duration}ms in ${steps} step(s)`);
+
+    this._runFade(endpointNum, fade, start, end, steps, duration / steps).catch(error => {
+      this.error(`[FADE] EP${endpointNum} fade aborted: ${error.message || error}`);
+    });
+  }
+
+  cancelFade(endpointNum) {
+    const fade = this._fades[endpointNum];
+    if (fade) {
+      fade.cancelled = true;
+      delete this._fades[endpointNum];
+      this.log(`[FADE] EP${endpointNum} fade cancelled`);
+    }
+  }
+
+  async _runFade(endpointNum, fade, start, end, steps, stepMs) {
+    const dimCap = `dim.ep${endpointNum}`;
+    const onoffCap = `onoff.ep${endpointNum}`;
+
+    for (let i = 0; i <= steps; i++) {
+      if (fade.cancelled) return;
+
+      const level = start + ((end - start) * i) / steps;
+
+      // Let firmware that honours Duration smooth out the gap to the next step
+      await this.queueCapabilityCommand(dimCap, level, {
+        duration: i === 0 ? 0 : stepMs,
+        fadeStep: true,
+      });
+      this._setOnOff(onoffCap, level > 0, endpointNum);
+
+      if (i < steps) {
+        await this._delay(stepMs);
+      }
     }
 
+    if (this._fades[endpointNum] === fade) {
+      delete this._fades[endpointNum];
+    }
+    this.log(`[FADE] EP${endpointNum} fade finished at ${end}`);
+  }
+
+  // ============================================================
+  // Auto-off timers
+  // ============================================================
+
+  /**
+   * Turn an endpoint on and schedule it to turn off again. The timer is persisted so it
+   * survives app restarts.
+   * @param {number} endpointNum
+   * @param {number} durationMs
+   */
+  async turnOnFor(endpointNum, durationMs) {
     const cap = `onoff.ep${endpointNum}`;
-    if (!this.hasCapability(cap)) return false;
-    return !!this.getCapabilityValue(cap);
+    if (!this.hasCapability(cap)) {
+      throw new Error(`Endpoint ${endpointNum} does not have an onoff capability`);
+    }
+
+    await this.queueCapabilityCommand(cap, true);
+    await this._scheduleAutoOff(endpointNum, durationMs);
   }
 
-  async _handleEndpointDimCompare(args) {
-    if (!args.endpoint?.id) {
-      this.error('[FLOW] Invalid endpoint in condition');
-      return false;
+  /**
+   * Whether a state change on an endpoint was most likely caused by our own command
+   */
+  _isHomeyInitiated(endpointNum) {
+    return Date.now() < (this._homeyCommandUntil[endpointNum] || 0);
+  }
+
+  _isAnyHomeyInitiated() {
+    return Object.keys(this._homeyCommandUntil).some(id => this._isHomeyInitiated(id));
+  }
+
+  /**
+   * Count reports from an endpoint as echoes of our command until its transition has run and
+   * HOMEY_COMMAND_WINDOW_MS has passed
+   * @param {number} endpointNum
+   * @param {number} [durationMs] - How long the command takes to settle on the endpoint
+   */
+  _markHomeyCommand(endpointNum, durationMs = 0) {
+    const until = Date.now() + durationMs + WallWandDevice.HOMEY_COMMAND_WINDOW_MS;
+    this._homeyCommandUntil[endpointNum] = Math.max(
+      this._homeyCommandUntil[endpointNum] || 0,
+      until
+    );
+  }
+
+  _getAutoOffMs(endpointNum) {
+    const minutes = Number(this._getEndpointSetting(endpointNum, 'auto_off', 0));
+    return Number.isFinite(minutes) && minutes > 0 ? minutes * 60000 : 0;
+  }
+
+  /**
+   * Homey turned an endpoint on or off: start the configured auto-off, or drop the timer
+   */
+  async _handleAutoOffCommand(endpointNum, isOn) {
+    if (!isOn) {
+      await this._cancelAutoOff(endpointNum);
+      return;
     }
 
-    const endpointNum = args.endpoint.id;
-    if (!this._endpointTypes[endpointNum]) {
-      this.error(`[FLOW] Endpoint ${endpointNum} not found or unsupported`);
-      return false;
+    const autoOffMs = this._getAutoOffMs(endpointNum);
+    if (autoOffMs && !this._autoOffTimers[endpointNum]) {
+      await this._scheduleAutoOff(endpointNum, autoOffMs);
     }
+  }
 
-    const cap = `dim.ep${endpointNum}`;
-    if (!this.hasCapability(cap)) return false;
+  /**
+   * One report from the panel, applied as a whole (a dimmer's on/off and level together).
+   * Turning off clears the timer and turning on starts it. Only a press on an endpoint that
+   * was already on and stays on, e.g. a relay re-pressed or a dimmer adjusted, cancels or
+   * restarts a running timer depending on the endpoint's setting; read-backs never do.
+   * @param {number} endpointNum
+   * @param {boolean} wasOn - State before the report
+   * @param {boolean} isOn - State the report holds
+   * @param {boolean} isPress - Sent by the endpoint itself rather than read back by Homey
+   */
+  _handleAutoOffReport(endpointNum, wasOn, isOn, isPress) {
+    if (this._isHomeyInitiated(endpointNum)) return;
+
+    const running = !!this._autoOffTimers[endpointNum];
+    let action = null;
+
+    if (!isOn) {
+      action = running ? this._cancelAutoOff(endpointNum) : null;
+    } else if (!running) {
+      const autoOffMs = this._getAutoOffMs(endpointNum);
+      action = autoOffMs ? this._scheduleAutoOff(endpointNum, autoOffMs) : null;
+    } else if (!wasOn || !isPress) {
+      action = null;
+    } else if (this._getEndpointSetting(endpointNum, 'auto_off_press', 'restart') === 'cancel') {
+      this.log(`[AUTO-OFF] EP${endpointNum} physical press, cancelling timer`);
+      action = this._cancelAutoOff(endpointNum);
+    } else {
+      this.log(`[AUTO-OFF] EP${endpointNum} physical press, restarting timer`);
+      action = this._scheduleAutoOff(endpointNum, this._autoOffTimers[endpointNum].durationMs);
+    }
 
-    const current = this.getCapabilityValue(cap) || 0;
-    const target = Number(args.level) || 0;
+    if (action) {
+      action.catch(error => {
+        this.error(`[AUTO-OFF] EP${endpointNum} update failed:`, error.message || error);
+      });
+    }
+  }
 
-    switch (args.comparison) {
-      case 'greater_than':
-        return current > target;
-      case 'less_than':
-        return current < target;
-      case 'equal_to':
-        return Math.abs(current - target) < 0.01;
+  async _scheduleAutoOff(endpointNum, durationMs, expiresAt = Date.now() + durationMs) {
+    this._clearAutoOffTimer(endpointNum);
+
+    const delay = Math.max(0, expiresAt - Date.now());
+    this._autoOffTimers[endpointNum] = {
+      durationMs,
+      expiresAt,
+      timeout: setTimeout(() => this._onAutoOffExpired(endpointNum), delay),
+    };
+
+    await this._persistAutoOffTimers();
+    this.log(`[AUTO-OFF] EP${endpointNum} turns off in ${Math.round(delay / 1000)}s`);
+  }
+
+  async _cancelAutoOff(endpointNum) {
+    if (!this._autoOffTimers[endpointNum]) return;
+
+    this._clearAutoOffTimer(endpointNum);
+    await this._persistAutoOffTimers();
+    this.log(`[AUTO-OFF] EP${endpointNum} timer cancelled`);
+  }
+
+  async _onAutoOffExpired(endpointNum) {
+    this._clearAutoOffTimer(endpointNum);
+
+    try {
+      await this._persistAutoOffTimers();
+
+      const cap = `onoff.ep${endpointNum}`;
+      if (this.hasCapability(cap) && this.getCapabilityValue(cap) !== false) {
+        this.log(`[AUTO-OFF] EP${endpointNum} timer expired, turning off`);
+        await this.queueCapabilityCommand(cap, false);
+      }
+    } catch (error) {
+      this.error(`[AUTO-OFF] EP${endpointNum} failed to turn off:`, error.message || error);
+    }
+  }
+
+  _clearAutoOffTimer(endpointNum) {
+    const timer = this._autoOffTimers[endpointNum];
+    if (timer) {
+      clearTimeout(timer.timeout);
+      delete this._autoOffTimers[endpointNum];
+    }
+  }
+
+  _clearAutoOffTimers() {
+    for (const endpointNum of Object.keys(this._autoOffTimers || {})) {
+      this._clearAutoOffTimer(endpointNum);
+    }
+  }
+
+  async _persistAutoOffTimers() {
+    const stored = {};
+    for (const [endpointNum, { durationMs, expiresAt }] of Object.entries(this._autoOffTimers)) {
+      stored[endpointNum] = { durationMs, expiresAt };
+    }
+    await this.setStoreValue('autoOffTimers', stored);
+  }
+
+  /**
+   * Re-arm persisted timers; ones that expired while the app was down fire right away
+   */
+  async _restoreAutoOffTimers() {
+    this._clearAutoOffTimers();
+
+    const stored = (await this.getStoreValue('autoOffTimers')) || {};
+    for (const [id, { durationMs, expiresAt }] of Object.entries(stored)) {
+      const endpointNum = parseInt(id, 10);
+      if (!this._endpointTypes[endpointNum]) continue;
+
+      await this._scheduleAutoOff(endpointNum, durationMs, expiresAt);
+    }
+
+    // Drops entries for endpoints that no longer exist
+    await this._persistAutoOffTimers();
+  }
+
+  // ============================================================
+  // Turn-on level
+  // ============================================================
+
+  /**
+   * Level a dimmer endpoint should come on at
+   * @param {number} endpointNum
+   * @param {Date} [now]
+   * @returns {number|null} 0-1, or null to let the panel restore its last level, which is
+   *   what non-light loads always do
+   */
+  getTurnOnLevel(endpointNum, now = new Date()) {
+    if (!this._isLightLoad(endpointNum)) return null;
+
+    const mode = this._getEndpointSetting(endpointNum, 'turn_on_mode', 'last');
+
+    if (mode === WallWandDevice.TURN_ON_MODES.PRESET) {
+      return Number(this._getEndpointSetting(endpointNum, 'turn_on_level', 100)) / 100;
+    }
+
+    if (mode === WallWandDevice.TURN_ON_MODES.SCHEDULE && this._isNightTime(endpointNum, now)) {
+      return Number(this._getEndpointSetting(endpointNum, 'night_level', 20)) / 100;
+    }
+
+    return null;
+  }
+
+  /**
+   * Switch a dimmer endpoint. Switching on from off applies the turn-on level, unless the
+   * caller already sets a level itself and passes `keepLevel`.
+   */
+  async _switchDimmer(endpointNum, value, opts = {}) {
+    const { keepLevel, ...commandOpts } = opts;
+    const onoffCap = `onoff.ep${endpointNum}`;
+    const dimCap = `dim.ep${endpointNum}`;
+    const transitionOpts = this._withDefaultDuration(endpointNum, commandOpts);
+
+    const level =
+      value && !keepLevel && !this.getCapabilityValue(onoffCap)
+        ? this.getTurnOnLevel(endpointNum)
+        : null;
+
+    if (level === null) {
+      await this.executeCapabilitySetCommand(onoffCap, 'SWITCH_MULTILEVEL', value, transitionOpts);
+      return;
+    }
+
+    this.log(`[TURN-ON] EP${endpointNum} on at ${Math.round(level * 100)}%`);
+    await this.executeCapabilitySetCommand(
+      dimCap,
+      'SWITCH_MULTILEVEL',
+      this._toDeviceLevel(endpointNum, level) / WallWandDevice.Z_WAVE_MAX_DIM_VALUE,
+      transitionOpts
+    );
+    this._setDim(dimCap, level, endpointNum);
+  }
+
+  _isNightTime(endpointNum, now) {
+    try {
+      const start = this._parseTimeOfDay(
+        this._getEndpointSetting(endpointNum, 'night_start', '22:00')
+      );
+      const end = this._parseTimeOfDay(this._getEndpointSetting(endpointNum, 'night_end', '06:00'));
+      const current = this._getMinuteOfDay(now);
+
+      // The window usually wraps past midnight
+      return start <= end ? current >= start && current < end : current >= start || current < end;
+    } catch (error) {
+      this.error(`[TURN-ON] EP${endpointNum} night times:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * @param {string} text - `HH:MM`, 24-hour
+   * @returns {number} Minutes since midnight
+   */
+  _parseTimeOfDay(text) {
+    const match = String(text || '').match(/^\s*(\d{1,2}):(\d{2})\s*$/);
+    const hours = match ? parseInt(match[1], 10) : NaN;
+    const minutes = match ? parseInt(match[2], 10) : NaN;
+
+    if (!(hours < 24 && minutes < 60)) {
+      throw new Error(`"${text}" is not a valid time, use HH:MM (e.g. 22:30)`);
+    }
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * Minutes since midnight in Homey's timezone
+   */
+  _getMinuteOfDay(date) {
+    const [hours, minutes] = date
+      .toLocaleTimeString('en-GB', { timeZone: this.homey.clock.getTimezone(), hourCycle: 'h23' })
+      .split(':')
+      .map(Number);
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * Keep the last level a dimmer was on at, for showing "on at last level" reports
+   */
+  _rememberLevel(endpointNum, value) {
+    if (!(value > 0) || this._lastLevels[endpointNum] === value) return;
+
+    this._lastLevels[endpointNum] = value;
+
+    // A fade changes the level every step; only the level it settles on needs storing
+    clearTimeout(this._lastLevelsTimer);
+    this._lastLevelsTimer = setTimeout(() => {
+      this._lastLevelsTimer = null;
+      this.setStoreValue('lastLevels', this._lastLevels).catch(err => {
+        this.error('[TURN-ON] Failed to store last levels:', err.message || err);
+      });
+    }, WallWandDevice.LAST_LEVEL_STORE_DELAY_MS);
+  }
+
+  // ============================================================
+  // Usage statistics
+  // ============================================================
+
+  _getUsage(endpointNum) {
+    if (!this._usageStats[endpointNum]) {
+      this._usageStats[endpointNum] = {
+        onTimeMs: 0,
+        cycles: 0,
+        dimTimeMs: 0, // Dim level (0-1) multiplied by the time spent at it while on
+        dimOnTimeMs: 0, // On time with a known dim level, to average dimTimeMs over
+        level: null,
+        onSince: null,
+        accruedAt: null,
+        lastOnMs: 0,
+        lastChangedAt: null,
+      };
+    }
+    return this._usageStats[endpointNum];
+  }
+
+  /**
+   * Add the time since the last accrual to the on-time totals of an endpoint that is on
+   */
+  _accrueUsage(usage, now = Date.now()) {
+    if (!usage.onSince) return;
+
+    const elapsed = now - usage.accruedAt;
+    usage.onTimeMs += elapsed;
+    if (usage.level !== null) {
+      usage.dimTimeMs += usage.level * elapsed;
+      usage.dimOnTimeMs += elapsed;
+    }
+    usage.accruedAt = now;
+  }
+
+  /**
+   * Update usage for an endpoint capability change, from reports and commands alike
+   */
+  _recordUsage(endpointNum, capability, value) {
+    if (capability !== 'onoff' && capability !== 'dim') return;
+
+    const usage = this._getUsage(endpointNum);
+    const now = Date.now();
+    this._accrueUsage(usage, now);
+
+    if (capability === 'onoff') {
+      const isOn = !!value;
+      if (isOn === !!usage.onSince) return;
+
+      if (isOn) {
+        // The first state ever seen is where counting starts, not a switch cycle
+        if (usage.lastChangedAt !== null) usage.cycles++;
+        usage.onSince = now;
+        usage.accruedAt = now;
+      } else {
+        usage.lastOnMs = now - usage.onSince;
+        usage.onSince = null;
+        usage.accruedAt = null;
+      }
+    } else {
+      const level = Number(value);
+      if (!Number.isFinite(level) || level === usage.level) return;
+      usage.level = level;
+    }
+
+    usage.lastChangedAt = now;
+    this._scheduleUsageFlush(endpointNum);
+  }
+
+  /**
+   * Persist and log changes at most every USAGE_FLUSH_DELAY_MS, so fades and busy endpoints
+   * do not write the store and Insights on every step
+   */
+  _scheduleUsageFlush(endpointNum) {
+    this._usageDirty.add(endpointNum);
+    if (this._usageFlushTimer) return;
+
+    this._usageFlushTimer = setTimeout(() => {
+      this._flushUsage().catch(error => {
+        this.error('[USAGE] Failed to flush usage statistics:', error.message || error);
+      });
+    }, WallWandDevice.USAGE_FLUSH_DELAY_MS);
+  }
+
+  async _flushUsage() {
+    clearTimeout(this._usageFlushTimer);
+    this._usageFlushTimer = null;
+
+    const endpoints = [...this._usageDirty];
+    this._usageDirty.clear();
+
+    this._persistUsageStats();
+    for (const endpointNum of endpoints) {
+      await this._publishUsage(endpointNum);
+    }
+  }
+
+  /**
+   * @returns {object|null} Totals for an endpoint, null when nothing was recorded yet
+   */
+  getUsageStats(endpointNum) {
+    const usage = this._usageStats[endpointNum];
+    if (!usage) return null;
+
+    this._accrueUsage(usage);
+    return {
+      onTimeHours: usage.onTimeMs / 3600000,
+      cycles: usage.cycles,
+      averageDim: usage.dimOnTimeMs > 0 ? usage.dimTimeMs / usage.dimOnTimeMs : null,
+      lastChangedAt: usage.lastChangedAt ? new Date(usage.lastChangedAt).toISOString() : null,
+      onSince: usage.onSince ? new Date(usage.onSince).toISOString() : null,
+    };
+  }
+
+  _getUsageTokens(endpointNum) {
+    const stats = this.getUsageStats(endpointNum);
+    return {
+      cycles: stats ? stats.cycles : 0,
+      total_on_hours: stats ? Math.round(stats.onTimeHours * 100) / 100 : 0,
+    };
+  }
+
+  _persistUsageStats() {
+    // Writing before the stored totals are loaded would wipe them
+    if (!this._usageStatsLoaded) return;
+
+    this.setStoreValue('usageStats', this._usageStats).catch(err => {
+      this.error('[USAGE] Failed to persist usage statistics:', err.message || err);
+    });
+  }
+
+  /**
+   * Reload totals from the store. Time the app was not running is not counted as on time,
+   * but an endpoint that was on keeps its original on-since time.
+   */
+  async _restoreUsageStats() {
+    this._usageStats = (await this.getStoreValue('usageStats')) || {};
+
+    const now = Date.now();
+    for (const usage of Object.values(this._usageStats)) {
+      if (usage.onSince) usage.accruedAt = now;
+    }
+    this._usageStatsLoaded = true;
+  }
+
+  async _publishAllUsage() {
+    this._usageDirty.clear();
+    for (const id of Object.keys(this._usageStats)) {
+      await this._publishUsage(parseInt(id, 10));
+    }
+    this._persistUsageStats();
+  }
+
+  async _publishUsage(endpointNum) {
+    const stats = this.getUsageStats(endpointNum);
+    if (!stats) return;
+
+    const values = {
+      on_time: stats.onTimeHours,
+      cycles: stats.cycles,
+      dim_average: stats.averageDim === null ? null : stats.averageDim * 100,
+    };
+
+    for (const [metric, value] of Object.entries(values)) {
+      if (value === null) continue;
+      try {
+        const log = await this._getUsageLog(endpointNum, metric);
+        await log.createEntry(value);
+      } catch (error) {
+        this.log(`[USAGE] Could not log ${metric} for EP${endpointNum}: ${error.message || error}`);
+      }
+    }
+  }
+
+  _getUsageLogId(endpointNum, metric) {
+    const deviceId = String(this.getData().token)
+      .replace(/[^a-z0-9]/gi, '')
+      .toLowerCase();
+    return `wallwand_${deviceId}_ep${endpointNum}_${metric}`;
+  }
+
+  /**
+   * The pending lookup is cached too, so concurrent entries do not create the log twice
+   */
+  _getUsageLog(endpointNum, metric) {
+    const id = this._getUsageLogId(endpointNum, metric);
+    if (!this._usageLogs[id]) {
+      this._usageLogs[id] = this._openUsageLog(id, endpointNum, metric).catch(error => {
+        delete this._usageLogs[id];
+        throw error;
+      });
+    }
+    return this._usageLogs[id];
+  }
+
+  async _openUsageLog(id, endpointNum, metric) {
+    try {
+      return await this.homey.insights.getLog(id);
+    } catch (error) {
+      const { title, units, decimals } = WallWandDevice.USAGE_INSIGHTS[metric];
+      return this.homey.insights.createLog(id, {
+        title: { en: `${this.getName()} ${this._getEndpointLabel(endpointNum)} ${title}` },
+        type: 'number',
+        units,
+        decimals,
+      });
+    }
+  }
+
+  async _deleteUsageLogs() {
+    for (const id of Object.keys(this._usageStats)) {
+      for (const metric of Object.keys(WallWandDevice.USAGE_INSIGHTS)) {
+        const logId = this._getUsageLogId(parseInt(id, 10), metric);
+        try {
+          const log = await (this._usageLogs[logId] || this.homey.insights.getLog(logId));
+          await this.homey.insights.deleteLog(log);
+        } catch (error) {
+          // Never created, nothing to delete
+        }
+      }
+    }
+    this._usageLogs = {};
+  }
+
+  // ============================================================
+  // Interlocks
+  // ============================================================
+
+  /**
+   * Parse `1,2; 3,4` (semicolon or newline separated) into [[1, 2], [3, 4]]
+   * @throws {Error} For a malformed group or an endpoint in more than one group
+   */
+  _parseInterlockGroups(text) {
+    const groups = [];
+    const seen = new Set();
+
+    for (const rawGroup of String(text || '').split(/[;\n]/)) {
+      if (!rawGroup.trim()) continue;
+
+      const members = rawGroup.split(',').map(m => m.trim());
+      if (members.length < 2 || !members.every(m => /^\d+$/.test(m) && parseInt(m, 10) > 0)) {
+        throw new Error(`Invalid interlock group "${rawGroup.trim()}", list two or more endpoints`);
+      }
+
+      const group = members.map(m => parseInt(m, 10));
+      for (const endpointNum of group) {
+        if (seen.has(endpointNum)) {
+          throw new Error(`Endpoint ${endpointNum} is in more than one interlock group`);
+        }
+        seen.add(endpointNum);
+      }
+      groups.push(group);
+    }
+
+    return groups;
+  }
+
+  /**
+   * @returns {number[]|null} The interlock group the endpoint belongs to
+   */
+  _getInterlockGroup(endpointNum) {
+    if (!endpointNum) return null;
+
+    try {
+      const groups = this._parseInterlockGroups(this.getSetting('interlock_groups'));
+      return groups.find(group => group.includes(endpointNum)) || null;
+    } catch (error) {
+      this.error('[INTERLOCK] Ignoring invalid groups:', error.message);
+      return null;
+    }
+  }
+
+  _isTurnOnCommand(capabilityId, value) {
+    const base = String(capabilityId).split('.')[0];
+    return (base === 'onoff' && value === true) || (base === 'dim' && value > 0);
+  }
+
+  /**
+   * Run something that switches an endpoint on. In an interlock group the other members go
+   * off first, then the dead-time, then the task; one group member at a time. An endpoint
+   * that is already on, e.g. being dimmed, has nothing to release.
+   */
+  async _runInterlocked(endpointNum, task, queueOpts = {}) {
+    const group = this._getInterlockGroup(endpointNum);
+    if (!group) return task();
+
+    return this._withInterlock(group, async () => {
+      if (this.getCapabilityValue(`onoff.ep${endpointNum}`) !== true) {
+        await this._releaseInterlock(endpointNum, group, queueOpts);
+      }
+      return task();
+    });
+  }
+
+  async _withInterlock(group, task) {
+    const key = group.join(',');
+    const run = (this._interlockLocks[key] || Promise.resolve()).then(task);
+    this._interlockLocks[key] = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Turn off the other members that are on and wait the dead-time
+   * @throws {Error} When a member could not be turned off; the endpoint must then stay off
+   */
+  async _releaseInterlock(endpointNum, group, queueOpts) {
+    const others = group.filter(
+      other =>
+        other !== endpointNum &&
+        this.hasCapability(`onoff.ep${other}`) &&
+        this.getCapabilityValue(`onoff.ep${other}`) === true
+    );
+    if (others.length === 0) return;
+
+    this.log(`[INTERLOCK] EP${endpointNum} on: turning off EP${others.join(', EP')} first`);
+    try {
+      await Promise.all(
+        others.map(other => this._enqueueCommand(`onoff.ep${other}`, false, {}, queueOpts))
+      );
+    } catch (error) {
+      throw new Error(
+        `Interlock: could not turn off the other endpoints before EP${endpointNum}: ${error.message || error}`
+      );
+    }
+
+    const deadTimeMs = Number(this.getSetting('interlock_dead_time')) || 0;
+    if (deadTimeMs > 0) await this._delay(deadTimeMs);
+  }
+
+  /**
+   * An endpoint came on without Homey; flag it if another member of its group is on too
+   */
+  _checkInterlock(endpointNum) {
+    const group = this._getInterlockGroup(endpointNum);
+    if (!group) return;
+
+    const conflicting = group.filter(
+      other => other !== endpointNum && this.getCapabilityValue(`onoff.ep${other}`) === true
+    );
+
+    for (const other of conflicting) {
+      this.error(`[INTERLOCK] EP${endpointNum} turned on while EP${other} is on`);
+      this._triggerInterlockViolated(endpointNum, other);
+    }
+  }
+
+  async _triggerInterlockViolated(endpointNum, otherEndpointNum) {
+    try {
+      const trigger = this.homey.flow.getDeviceTriggerCard('interlock_violated');
+      if (!trigger) return;
+
+      await trigger.trigger(this, {
+        endpoint: this._getEndpointLabel(endpointNum),
+        other_endpoint: this._getEndpointLabel(otherEndpointNum),
+        source: this._getChangeSource(endpointNum),
+      });
+      this.log(
+        `[FLOW] Triggered 'interlock_violated' for EP${endpointNum} and EP${otherEndpointNum}`
+      );
+    } catch (error) {
+      this.error("[FLOW] Failed to trigger 'interlock_violated':", error.message || error);
+    }
+  }
+
+  // ============================================================
+  // Polling
+  // ============================================================
+
+  /**
+   * (Re)start polling as configured, for panels that do not report physical changes
+   * @param {object} [settings] - Pass the new settings while they are being saved
+   */
+  _startPolling(settings = this.getSettings()) {
+    this._stopPolling();
+    if (!settings.polling_enabled) return;
+
+    this._pollDelayMs = this._getPollIntervalMs(settings);
+    this.log(`[POLL] Polling every ${this._pollDelayMs / 1000}s`);
+    this._schedulePoll(this._pollDelayMs);
+  }
+
+  _stopPolling() {
+    clearTimeout(this._pollTimer);
+    this._pollTimer = null;
+    this._pollDelayMs = null;
+  }
+
+  _getPollIntervalMs(settings = this.getSettings()) {
+    return Math.max(10, Number(settings.polling_interval) || 60) * 1000;
+  }
+
+  _schedulePoll(delayMs) {
+    clearTimeout(this._pollTimer);
+    this._pollTimer = setTimeout(() => {
+      this._pollTimer = null;
+      this._poll();
+    }, delayMs);
+  }
+
+  async _poll() {
+    if (this._pollDelayMs === null) return;
+
+    // Commands take priority; try again shortly rather than competing for the radio
+    if (this._isProcessingQueue || this._commandQueue.length > 0) {
+      this.log('[POLL] Command queue busy, postponing');
+      this._schedulePoll(WallWandDevice.POLL_BUSY_RETRY_MS);
+      return;
+    }
+
+    const intervalMs = this._getPollIntervalMs();
+    const isReporting = Date.now() - this._lastUnsolicitedReportAt < this._pollDelayMs;
+
+    if (isReporting || this._offlineSince) {
+      // Reports keep Homey in sync and an offline panel is pinged by the health check anyway
+      this._pollDelayMs = Math.min(
+        this._pollDelayMs * 2,
+        intervalMs * WallWandDevice.POLL_MAX_BACKOFF
+      );
+      this.log(`[POLL] Skipped, next poll in ${this._pollDelayMs / 1000}s`);
+    } else {
+      this._pollDelayMs = intervalMs;
+      this._isPolling = true;
+      try {
+        // Changes found here were made at the panel; unchanged endpoints fire no triggers.
+        // A failed read is left for the next poll rather than demoting the endpoint.
+        const endpoints = Object.keys(this._endpointTypes).map(id => parseInt(id, 10));
+        await this._syncAfterReport(endpoints, () =>
+          this._syncAllEndpointStates(this.node, { demote: false })
+        );
+        this._lastPollAt = Date.now();
+      } catch (error) {
+        this.error('[POLL] Sync failed:', error.message || error);
+      } finally {
+        this._isPolling = false;
+      }
+    }
+
+    if (this._pollDelayMs !== null) this._schedulePoll(this._pollDelayMs);
+  }
+
+  // ============================================================
+  // Availability
+  // ============================================================
+
+  /**
+   * Record when each endpoint (0 for the panel itself) last reported anything
+   */
+  _registerAvailabilityListeners(node) {
+    const sources = { 0: node, ...(node.MultiChannelNodes || {}) };
+
+    for (const id of Object.keys(sources)) {
+      const endpointNum = parseInt(id, 10);
+      const commandClass = sources[id]?.CommandClass || {};
+
+      for (const ccName of WallWandDevice.AVAILABILITY_REPORT_CLASSES) {
+        const cc = commandClass[ccName];
+        if (!cc) continue;
+
+        const listener = () => this._markSeen(endpointNum);
+        cc.on('report', listener);
+        this._listeners.push({ cc, event: 'report', listener });
+      }
+    }
+  }
+
+  _markSeen(endpointNum) {
+    this._lastSeen[endpointNum] = Date.now();
+    if (this._offlineSince) this._setOnline();
+  }
+
+  /**
+   * @returns {number|null} Most recent report from the panel or any endpoint
+   */
+  getLastSeen() {
+    const timestamps = Object.values(this._lastSeen);
+    return timestamps.length > 0 ? Math.max(...timestamps) : null;
+  }
+
+  /**
+   * Ping the panel when it has been quiet for a whole health check interval, and mark it
+   * unavailable when it stops answering
+   * @param {object} [options]
+   * @param {boolean} [options.force] - Ping even if the panel reported recently
+   */
+  async _checkAvailability({ force = false } = {}) {
+    if (this._isPinging) return;
+
+    const lastSeen = this.getLastSeen();
+    const isQuiet = !lastSeen || Date.now() - lastSeen >= WallWandDevice.HEALTH_CHECK_INTERVAL_MS;
+    if (!force && !isQuiet && !this._offlineSince) return;
+
+    this._isPinging = true;
+    try {
+      for (let attempt = 1; attempt <= WallWandDevice.PING_ATTEMPTS; attempt++) {
+        try {
+          await this._pingPanel();
+          this._markSeen(0);
+          return;
+        } catch (error) {
+          this.log(`[AVAILABILITY] Ping ${attempt} failed: ${error.message || error}`);
+        }
+      }
+
+      this._setOffline('The panel is not responding');
+    } finally {
+      this._isPinging = false;
+    }
+  }
+
+  async _pingPanel() {
+    const commandClass = this.node?.CommandClass || {};
+    let ping;
+
+    // A GET reply arrives as a root report; tracked as our own so it does not trigger a resync
+    if (commandClass.COMMAND_CLASS_NO_OPERATION?.NO_OPERATION) {
+      ping = commandClass.COMMAND_CLASS_NO_OPERATION.NO_OPERATION();
+    } else if (commandClass.COMMAND_CLASS_SWITCH_MULTILEVEL) {
+      ping = this._getEndpointState(0, () =>
+        commandClass.COMMAND_CLASS_SWITCH_MULTILEVEL.SWITCH_MULTILEVEL_GET()
+      );
+    } else if (commandClass.COMMAND_CLASS_SWITCH_BINARY) {
+      ping = this._getEndpointState(0, () =>
+        commandClass.COMMAND_CLASS_SWITCH_BINARY.SWITCH_BINARY_GET()
+      );
+    } else {
+      throw new Error('No command class available to ping');
+    }
+
+    await this._withTimeout(
+      ping,
+      WallWandDevice.COMMAND_TIMEOUT_MS,
+      `Ping timeout after ${WallWandDevice.COMMAND_TIMEOUT_MS}ms`
+    );
+  }
+
+  _setOffline(reason) {
+    if (this._offlineSince) return;
+
+    this._offlineSince = Date.now();
+    this.log(`[AVAILABILITY] Panel offline: ${reason}`);
+
+    this.setUnavailable(reason).catch(err => {
+      this.error('[AVAILABILITY] Failed to mark unavailable:', err.message || err);
+    });
+    this._triggerAvailability('panel_went_offline', { reason });
+    this.emit('availability', false, reason);
+  }
+
+  /**
+   * Bring the panel back and re-read every endpoint, since presses made while it was
+   * unreachable were missed
+   */
+  _setOnline() {
+    if (!this._offlineSince) return;
+
+    const offlineMinutes = Math.round((Date.now() - this._offlineSince) / 60000);
+    this._offlineSince = null;
+    this.log(`[AVAILABILITY] Panel back online after ${offlineMinutes} minute(s)`);
+
+    this.setAvailable().catch(err => {
+      this.error('[AVAILABILITY] Failed to mark available:', err.message || err);
+    });
+    this._triggerAvailability('panel_came_online', { offline_minutes: offlineMinutes });
+    this.emit('availability', true);
+
+    // The panel may still be finding its feet, so a failed read must not demote endpoints
+    this._syncAllEndpointStates(this.node, { demote: false }).catch(err => {
+      this.error('[AVAILABILITY] Resync after recovery failed:', err.message || err);
+    });
+  }
+
+  async _triggerAvailability(triggerId, tokens) {
+    try {
+      const trigger = this.homey.flow.getDeviceTriggerCard(triggerId);
+      if (!trigger) return;
+
+      await trigger.trigger(this, tokens);
+      this.log(`[FLOW] Triggered '${triggerId}'`);
+    } catch (error) {
+      this.error(`[FLOW] Failed to trigger '${triggerId}':`, error.message || error);
+    }
+  }
+
+  // ============================================================
+  // Diagnostics
+  // ============================================================
+
+  /**
+   * Append to one of the diagnostics logs, keeping only the most recent entries
+   */
+  _recordDiagnostic(log, entry) {
+    log.push({ at: new Date().toISOString(), ...entry });
+    if (log.length > WallWandDevice.DIAGNOSTICS_HISTORY_SIZE) log.shift();
+  }
+
+  /**
+   * The maintenance action writes the report into the `diagnostics` setting, where it can be
+   * copied into an issue
+   */
+  async _registerDiagnosticsAction() {
+    await this._ensureCapability('button.diagnostics');
+    this.registerCapabilityListener('button.diagnostics', async () => {
+      const report = JSON.stringify(this.getDiagnostics(), null, 2);
+      await this.setSettings({ diagnostics: report });
+      this.log(`[DIAGNOSTICS] Report written to settings (${report.length} characters)`);
+    });
+  }
+
+  /**
+   * Snapshot of everything needed to troubleshoot a panel, safe to serialize as JSON
+   */
+  getDiagnostics() {
+    const toIso = timestamp => (timestamp ? new Date(timestamp).toISOString() : null);
+
+    const endpoints = {};
+    for (const id of Object.keys(this._endpointTypes || {})) {
+      const endpointNum = parseInt(id, 10);
+      const values = {};
+      for (const capId of this._getEndpointCapabilities(endpointNum)) {
+        if (this.hasCapability(capId)) values[capId] = this.getCapabilityValue(capId);
+      }
+      const lastReport = this._lastReports[endpointNum];
+
+      endpoints[endpointNum] = {
+        type: this._endpointTypes[id],
+        label: this._getEndpointLabel(endpointNum),
+        values,
+        lastSeen: toIso(this._lastSeen[endpointNum]),
+        lastReport: lastReport ? { ...lastReport, at: toIso(lastReport.at) } : null,
+      };
+    }
+
+    const autoOffTimers = {};
+    for (const [endpointNum, { expiresAt }] of Object.entries(this._autoOffTimers)) {
+      autoOffTimers[endpointNum] = toIso(expiresAt);
+    }
+
+    return {
+      generatedAt: new Date().toISOString(),
+      appVersion: this.homey.manifest.version,
+      nodeId: this.node?.nodeId ?? null,
+      available: !this._offlineSince,
+      offlineSince: toIso(this._offlineSince),
+      panelLastSeen: toIso(this._lastSeen[0]),
+      endpoints,
+      discovery: this._discoveryLog,
+      polling: {
+        enabled: this._pollDelayMs !== null,
+        delayMs: this._pollDelayMs,
+        lastPollAt: toIso(this._lastPollAt),
+        lastUnsolicitedReportAt: toIso(this._lastUnsolicitedReportAt),
+      },
+      queue: {
+        depth: this._commandQueue.length,
+        processing: this._isProcessingQueue,
+        pending: this._commandQueue.map(command => ({
+          capabilityId: command.capabilityId,
+          value: command.value,
+          priority: command.priority,
+          ageMs: Date.now() - command.timestamp,
+        })),
+        recentFailures: this._commandFailures,
+      },
+      healthChecks: this._healthHistory,
+      usage: Object.fromEntries(
+        Object.keys(this._usageStats).map(id => [id, this.getUsageStats(parseInt(id, 10))])
+      ),
+      autoOffTimers,
+    };
+  }
+
+  // ============================================================
+  // Associations
+  // ============================================================
+
+  /**
+   * ASSOCIATION / MULTI_CHANNEL_ASSOCIATION on the panel (endpoint 0) or one of its endpoints.
+   * MULTI_CHANNEL_ASSOCIATION is preferred since only it can target another node's endpoint.
+   * @returns {{cc: object, multiChannel: boolean}}
+   */
+  _getAssociationCommandClass(endpointNum) {
+    const source = endpointNum ? this._getEndpointNode(endpointNum) : this.node;
+    const commandClass = source?.CommandClass || {};
+
+    if (commandClass.COMMAND_CLASS_MULTI_CHANNEL_ASSOCIATION) {
+      return { cc: commandClass.COMMAND_CLASS_MULTI_CHANNEL_ASSOCIATION, multiChannel: true };
+    }
+    if (commandClass.COMMAND_CLASS_ASSOCIATION) {
+      return { cc: commandClass.COMMAND_CLASS_ASSOCIATION, multiChannel: false };
+    }
+
+    const sourceName = endpointNum ? `Endpoint ${endpointNum}` : 'Panel';
+    throw new Error(`${sourceName} does not support associations`);
+  }
+
+  async getAssociationGroupCount(endpointNum) {
+    const { cc, multiChannel } = this._getAssociationCommandClass(endpointNum);
+    const report = multiChannel
+      ? await cc.MULTI_CHANNEL_ASSOCIATION_GROUPINGS_GET()
+      : await cc.ASSOCIATION_GROUPINGS_GET();
+
+    return this._isValidReport(report, 'Supported Groupings') ? report['Supported Groupings'] : 0;
+  }
+
+  /**
+   * @returns {Promise<{maxNodes: number, targets: string[]}>} Targets as "node" or "node:endpoint"
+   */
+  async readAssociationGroup(endpointNum, group) {
+    const { cc, multiChannel } = this._getAssociationCommandClass(endpointNum);
+    const payload = { 'Grouping Identifier': group };
+    const report = multiChannel
+      ? await cc.MULTI_CHANNEL_ASSOCIATION_GET(payload)
+      : await cc.ASSOCIATION_GET(payload);
+
+    if (!this._isValidReport(report, 'Grouping Identifier')) {
+      throw new Error(`Invalid association report for group ${group}`);
+    }
+
+    const targets = [...(report['Node ID'] || report.NodeID || [])].map(String);
+
+    // Multi channel destinations follow the marker as node/endpoint byte pairs
+    const endpointPairs = [...(report['Multi Channel Node ID'] || [])];
+    for (let i = 0; i + 1 < endpointPairs.length; i += 2) {
+      targets.push(`${endpointPairs[i]}:${endpointPairs[i + 1] & 0x7f}`);
+    }
+
+    return { maxNodes: report['Max Nodes Supported'] || 0, targets };
+  }
+
+  /**
+   * Read every association group of the panel and of each discovered endpoint
+   * @returns {Promise<Array<{endpoint: number, group: number, maxNodes: number, targets: string[]}>>}
+   */
+  async readAssociations() {
+    const sources = [0, ...Object.keys(this._endpointTypes).map(id => parseInt(id, 10))];
+    const associations = [];
+
+    for (const endpointNum of sources) {
+      let groupCount = 0;
+      try {
+        groupCount = await this.getAssociationGroupCount(endpointNum);
+      } catch (error) {
+        if (endpointNum === 0) throw error;
+        continue; // Endpoints without association support are common
+      }
+
+      for (let group = 1; group <= groupCount; group++) {
+        const { maxNodes, targets } = await this.readAssociationGroup(endpointNum, group);
+        associations.push({ endpoint: endpointNum, group, maxNodes, targets });
+      }
+    }
+
+    return associations;
+  }
+
+  async addAssociation(endpointNum, group, target) {
+    await this._sendAssociationCommand('SET', endpointNum, group, target);
+  }
+
+  async removeAssociation(endpointNum, group, target) {
+    await this._sendAssociationCommand('REMOVE', endpointNum, group, target);
+  }
+
+  async _sendAssociationCommand(action, endpointNum, group, target) {
+    const { cc, multiChannel } = this._getAssociationCommandClass(endpointNum);
+    const { nodeId, endpoint } = this._parseAssociationTarget(target);
+
+    if (endpoint && !multiChannel) {
+      throw new Error('Targeting another endpoint requires Multi Channel Association support');
+    }
+
+    this.log(`[ASSOC] ${action} EP${endpointNum} group ${group} -> ${target}`);
+
+    if (!multiChannel) {
+      await cc[`ASSOCIATION_${action}`]({
+        'Grouping Identifier': group,
+        'Node ID': Buffer.from([nodeId]),
+      });
+      return;
+    }
+
+    await cc[`MULTI_CHANNEL_ASSOCIATION_${action}`]({
+      'Grouping Identifier': group,
+      'Node ID': Buffer.from(endpoint ? [] : [nodeId]),
+      Marker: Buffer.from(endpoint ? [0x00] : []),
+      'Multi Channel Node ID': Buffer.from(endpoint ? [nodeId, endpoint] : []),
+    });
+  }
+
+  /**
+   * @param {string|number} target - "node" or "node:endpoint"
+   * @returns {{nodeId: number, endpoint: number}} endpoint 0 targets the node itself
+   */
+  _parseAssociationTarget(target) {
+    const match = /^\s*(\d+)\s*(?::\s*(\d+))?\s*$/.exec(String(target));
+    const nodeId = match ? parseInt(match[1], 10) : NaN;
+    const endpoint = match && match[2] ? parseInt(match[2], 10) : 0;
+
+    if (!(nodeId >= 1 && nodeId <= 232) || endpoint > 127) {
+      throw new Error(`Invalid association target "${target}", use node or node:endpoint`);
+    }
+
+    return { nodeId, endpoint };
+  }
+
+  /**
+   * Parse the `associations` setting. One group per line, `G = targets` for the panel and
+   * `epN.G = targets` for an endpoint, e.g. `2 = 5, 12:1`. Groups that are not listed are
+   * left alone, so the lifeline cannot be dropped by accident.
+   * @returns {Map<string, {endpoint: number, group: number, targets: string[]}>}
+   */
+  _parseAssociationSettings(text) {
+    const groups = new Map();
+
+    for (const rawLine of String(text || '').split('\n')) {
+      const line = rawLine.trim();
+      if (!line) continue;
+
+      const match = /^(?:ep(\d+)\.)?(\d+)\s*=\s*(.*)$/i.exec(line);
+      if (!match) {
+        throw new Error(`Invalid association line "${line}"`);
+      }
+
+      const endpoint = match[1] ? parseInt(match[1], 10) : 0;
+      const group = parseInt(match[2], 10);
+      const targets = match[3]
+        .split(',')
+        .map(t => t.trim())
+        .filter(Boolean)
+        .map(t => {
+          const { nodeId, endpoint: targetEndpoint } = this._parseAssociationTarget(t);
+          return targetEndpoint ? `${nodeId}:${targetEndpoint}` : `${nodeId}`;
+        });
+
+      groups.set(`${endpoint}.${group}`, { endpoint, group, targets });
+    }
+
+    return groups;
+  }
+
+  _formatAssociations(associations) {
+    return associations
+      .map(({ endpoint, group, targets }) => {
+        const key = endpoint ? `ep${endpoint}.${group}` : `${group}`;
+        return `${key} = ${targets.join(', ')}`;
+      })
+      .join('\n');
+  }
+
+  /**
+   * Apply the difference between the old and new `associations` setting, then read the
+   * changed groups back to confirm the panel accepted them
+   */
+  async _applyAssociationSettings(oldText, newText) {
+    const oldGroups = this._parseAssociationSettings(oldText);
+    const newGroups = this._parseAssociationSettings(newText);
+
+    for (const [key, { endpoint, group, targets }] of newGroups) {
+      // Compare against the panel rather than the old text, which may be stale
+      const { targets: current } = await this.readAssociationGroup(endpoint, group);
+
+      for (const target of current.filter(t => !targets.includes(t))) {
+        await this.removeAssociation(endpoint, group, target);
+      }
+      for (const target of targets.filter(t => !current.includes(t))) {
+        await this.addAssociation(endpoint, group, target);
+      }
+
+      const { targets: confirmed } = await this.readAssociationGroup(endpoint, group);
+      const missing = targets.filter(t => !confirmed.includes(t));
+      if (missing.length > 0) {
+        throw new Error(`Group ${key} did not accept ${missing.join(', ')}`);
+      }
+    }
+
+    const dropped = [...oldGroups.keys()].filter(key => !newGroups.has(key));
+    if (dropped.length > 0) {
+      this.log(`[ASSOC] Lines removed for ${dropped.join(', ')}, groups left unchanged`);
+    }
+  }
+
+  /**
+   * Fill the `associations` setting with what the panel currently reports
+   */
+  async _refreshAssociationSettings() {
+    try {
+      const associations = await this.readAssociations();
+      await this.setSettings({ associations: this._formatAssociations(associations) });
+      this.log(`[ASSOC] Read ${associations.length} association group(s)`);
+    } catch (error) {
+      this.log(`[ASSOC] Could not read associations: ${error.message || error}`);
+    }
+  }
+
+  async _getAssociationSourceList(query) {
+    const endpoints = await this._getEndpointAutocompleteList(query);
+    const panel = { name: 'Panel', id: 0 };
+    const includePanel = 'panel'.includes((query || '').toLowerCase());
+    return includePanel ? [panel, ...endpoints] : endpoints;
+  }
+
+  // ============================================================
+  // Protection
+  // ============================================================
+
+  _getProtectionCommandClass(endpointNum) {
+    const source = endpointNum ? this._getEndpointNode(endpointNum) : this.node;
+    return source?.CommandClass?.COMMAND_CLASS_PROTECTION || null;
+  }
+
+  /**
+   * The panel (0) and the discovered endpoints that support PROTECTION
+   */
+  _getProtectionTargets() {
+    const endpoints = Object.keys(this._endpointTypes || {}).map(id => parseInt(id, 10));
+    return [0, ...endpoints].filter(n => this._getProtectionCommandClass(n));
+  }
+
+  /**
+   * @param {number} target - An endpoint, or 0 for the panel together with all its endpoints
+   */
+  _resolveProtectionTargets(target) {
+    if (target) {
+      if (!this._getProtectionCommandClass(target)) {
+        throw new Error(`Endpoint ${target} does not support protection`);
+      }
+      return [target];
+    }
+
+    const targets = this._getProtectionTargets();
+    if (targets.length === 0) {
+      throw new Error('This panel does not support protection');
+    }
+    return targets;
+  }
+
+  _toProtectionState(kind, value) {
+    const states = WallWandDevice.PROTECTION_STATES[kind];
+    const ids = Object.keys(states);
+
+    if (typeof value === 'number') return ids[value] ?? null;
+    return ids.find(id => states[id].toLowerCase() === String(value).toLowerCase()) ?? null;
+  }
+
+  _toProtectionValue(kind, state) {
+    const value = Object.keys(WallWandDevice.PROTECTION_STATES[kind]).indexOf(state);
+    if (value < 0) {
+      throw new Error(`Unknown ${kind === 'rf' ? 'RF' : 'local'} protection state "${state}"`);
+    }
+    return value;
+  }
+
+  /**
+   * @param {number} endpointNum - 0 for the panel itself
+   * @returns {Promise<{version: number, local: string, rf: string|null}>} rf is null for
+   *   PROTECTION v1
+   */
+  async readProtection(endpointNum) {
+    const cc = this._getProtectionCommandClass(endpointNum);
+    const name = endpointNum ? `Endpoint ${endpointNum}` : 'Panel';
+    if (!cc) {
+      throw new Error(`${name} does not support protection`);
+    }
+
+    const report = await cc.PROTECTION_GET();
+    if (this._isValidReport(report, 'Level')) {
+      const rfState = report.Level2?.['RF Protection State'];
+      let rf = this._toProtectionState('rf', rfState);
+      if (rf === null) {
+        // RF protection is off unless the panel says otherwise
+        this.log(
+          `[PROTECTION] ${name} reported unknown RF state ${rfState}, treating as unprotected`
+        );
+        rf = 'unprotected';
+      }
+      return {
+        version: 2,
+        local: this._toProtectionState('local', report.Level['Local Protection State']),
+        rf,
+      };
+    }
+    if (this._isValidReport(report, 'Protection State')) {
+      return {
+        version: 1,
+        local: this._toProtectionState('local', report['Protection State']),
+        rf: null,
+      };
+    }
+
+    throw new Error(`Invalid protection report from ${name}`);
+  }
+
+  /**
+   * Set local (button) and/or RF (remote control) protection; a state left out is kept
+   * @param {number} target - An endpoint, or 0 for the panel together with all its endpoints
+   * @param {object} states
+   * @param {string} [states.local] - One of PROTECTION_STATES.local
+   * @param {string} [states.rf] - One of PROTECTION_STATES.rf
+   */
+  async setProtection(target, { local, rf } = {}) {
+    await this._writeProtection(target, { local, rf });
+
+    if (!target) {
+      const settings = {};
+      if (local) settings.local_protection = local;
+      if (rf) settings.rf_protection = rf;
+      await this.setSettings(settings).catch(err => {
+        this.log(`[PROTECTION] Could not update settings: ${err.message || err}`);
+      });
+    }
+  }
+
+  async _writeProtection(target, { local, rf }) {
+    const targets = this._resolveProtectionTargets(target);
+    const currents = {};
+    for (const endpointNum of targets) {
+      currents[endpointNum] = await this.readProtection(endpointNum);
+    }
+
+    // Checked before writing anything, so a failed request leaves every target as it was
+    if (rf && rf !== 'unprotected' && targets.every(n => currents[n].version === 1)) {
+      throw new Error(
+        target
+          ? `Endpoint ${target} does not support RF protection`
+          : 'This panel does not support RF protection'
+      );
+    }
+
+    for (const endpointNum of targets) {
+      const cc = this._getProtectionCommandClass(endpointNum);
+      const name = endpointNum ? `EP${endpointNum}` : 'Panel';
+      const current = currents[endpointNum];
+      const next = { local: local ?? current.local, rf: rf ?? current.rf };
+
+      if (current.version === 1) {
+        // PROTECTION v1 only knows local protection
+        if (rf && rf !== 'unprotected') {
+          this.log(`[PROTECTION] ${name} has no RF protection, only setting local protection`);
+        }
+        next.rf = null;
+        await cc.PROTECTION_SET({
+          'Protection State': this._toProtectionValue('local', next.local),
+        });
+      } else {
+        await cc.PROTECTION_SET({
+          Level: { 'Local Protection State': this._toProtectionValue('local', next.local) },
+          Level2: { 'RF Protection State': this._toProtectionValue('rf', next.rf) },
+        });
+      }
+
+      this.log(`[PROTECTION] ${name}: local ${next.local}, RF ${next.rf ?? 'n/a'}`);
+    }
+  }
+
+  /**
+   * Whether local or RF protection is on for the target; for the whole panel, on everywhere
+   * @param {number} target - An endpoint, or 0 for the panel together with all its endpoints
+   * @param {string} kind - 'local' or 'rf'
+   */
+  async isProtected(target, kind) {
+    for (const endpointNum of this._resolveProtectionTargets(target)) {
+      const state = (await this.readProtection(endpointNum))[kind];
+      if (!state || state === 'unprotected') return false;
+    }
+    return true;
+  }
+
+  /**
+   * Show the panel's protection in the settings, taken from the panel or else its first endpoint
+   */
+  async _refreshProtectionSettings() {
+    const [source] = this._getProtectionTargets();
+    if (source === undefined) return;
+
+    try {
+      const { local, rf } = await this.readProtection(source);
+      const settings = {};
+      if (local) settings.local_protection = local;
+      if (rf) settings.rf_protection = rf;
+      await this.setSettings(settings);
+    } catch (error) {
+      this.log(`[PROTECTION] Could not read protection: ${error.message || error}`);
+    }
+  }
+
+  async _getProtectionTargetList(query) {
+    const supported = this._getProtectionTargets();
+    const endpoints = (await this._getEndpointAutocompleteList(query)).filter(item =>
+      supported.includes(item.id)
+    );
+    const panel = { name: 'Whole panel', id: 0 };
+    const includePanel =
+      supported.length > 0 && 'whole panel'.includes((query || '').toLowerCase());
+    return includePanel ? [panel, ...endpoints] : endpoints;
+  }
+
+  // ============================================================
+  // Scenes
+  // ============================================================
+
+  /**
+   * Snapshot the state of every discovered endpoint under a name in the device store
+   * @param {string} name
+   */
+  async saveScene(name) {
+    const sceneName = String(name || '').trim();
+    if (!sceneName) {
+      throw new Error('Scene name is required');
+    }
+
+    const endpoints = {};
+    for (const id of Object.keys(this._endpointTypes)) {
+      const deviceType = this._endpointTypes[id];
+      if (!deviceType) continue;
+
+      const endpointNum = parseInt(id, 10);
+      const state = {};
+      for (const cap of ['onoff', 'dim', 'windowcoverings_set']) {
+        const capId = `${cap}.ep${endpointNum}`;
+        if (this.hasCapability(capId)) {
+          state[cap] = this.getCapabilityValue(capId);
+        }
+      }
+      endpoints[endpointNum] = state;
+    }
+
+    const scenes = (await this.getStoreValue('scenes')) || {};
+    scenes[sceneName] = { savedAt: Date.now(), endpoints };
+    await this.setStoreValue('scenes', scenes);
+
+    this.log(`[SCENE] Saved "${sceneName}" with ${Object.keys(endpoints).length} endpoint(s)`);
+  }
+
+  /**
+   * Replay a saved scene through the command queue
+   * @param {string} name
+   */
+  async restoreScene(name) {
+    const sceneName = String(name || '').trim();
+    const scenes = (await this.getStoreValue('scenes')) || {};
+    const scene = scenes[sceneName];
+    if (!scene) {
+      throw new Error(`Scene "${sceneName}" not found`);
+    }
+
+    this.log(`[SCENE] Restoring "${sceneName}"`);
+
+    const commands = [];
+    for (const [id, state] of Object.entries(scene.endpoints || {})) {
+      const endpointNum = parseInt(id, 10);
+      if (!this._endpointTypes[endpointNum]) {
+        this.log(`[SCENE] EP${endpointNum} no longer available, skipping`);
+        continue;
+      }
+
+      this.cancelFade(endpointNum);
+      commands.push(...this._getSceneCommands(endpointNum, state));
+    }
+
+    const results = await Promise.allSettled(
+      commands.map(([capId, value, opts]) => this.queueCapabilityCommand(capId, value, opts))
+    );
+    const failed = results.filter(r => r.status === 'rejected');
+    if (failed.length > 0) {
+      throw new Error(
+        `Scene "${sceneName}": ${failed.length} of ${commands.length} command(s) failed`
+      );
+    }
+  }
+
+  /**
+   * Commands that bring an endpoint back to a saved state. Dimmers only get their level
+   * replayed when they were on, since setting a level turns the load on.
+   * @returns {Array<[string, *]>} Capability/value pairs
+   */
+  _getSceneCommands(endpointNum, state) {
+    const commands = [];
+    const onoffCap = `onoff.ep${endpointNum}`;
+    const dimCap = `dim.ep${endpointNum}`;
+    const positionCap = `windowcoverings_set.ep${endpointNum}`;
+
+    if (typeof state.windowcoverings_set === 'number' && this.hasCapability(positionCap)) {
+      commands.push([positionCap, state.windowcoverings_set]);
+    }
+
+    if (typeof state.onoff !== 'boolean' || !this.hasCapability(onoffCap)) {
+      return commands;
+    }
+
+    if (state.onoff && typeof state.dim === 'number' && this.hasCapability(dimCap)) {
+      commands.push([dimCap, state.dim]);
+      commands.push([onoffCap, state.onoff, { keepLevel: true }]);
+      return commands;
+    }
+    commands.push([onoffCap, state.onoff]);
+
+    return commands;
+  }
+
+  async _getSceneAutocompleteList(query) {
+    const scenes = (await this.getStoreValue('scenes')) || {};
+    return Object.keys(scenes)
+      .filter(name => name.toLowerCase().includes((query || '').toLowerCase()))
+      .map(name => ({
+        name,
+        description: new Date(scenes[name].savedAt).toLocaleString(),
+      }));
+  }
+
+  // ============================================================
+  // Web API
+  // ============================================================
+
+  /**
+   * Discovered endpoints with their label and type, as listed by the Web API
+   */
+  getEndpoints() {
+    return Object.keys(this._endpointTypes || {})
+      .filter(id => this._endpointTypes[id])
+      .map(id => this._getEndpointSummary(parseInt(id, 10)));
+  }
+
+  /**
+   * Endpoint capability changes are emitted as `endpointCapability` (endpointNum, capability,
+   * value), which is how paired WallWand endpoint devices mirror the panel
+   */
+  async setCapabilityValue(capabilityId, value) {
+    const endpointNum = this._getEndpointNumber(capabilityId);
+
+    // Recorded before the value is stored, so triggers fired right after see the new totals
+    if (endpointNum) this._recordUsage(endpointNum, capabilityId.split('.')[0], value);
+    if (endpointNum && capabilityId.startsWith('dim.')) this._rememberLevel(endpointNum, value);
+
+    await super.setCapabilityValue(capabilityId, value);
+
+    if (endpointNum) {
+      this.emit('endpointCapability', endpointNum, capabilityId.split('.')[0], value);
+    }
+  }
+
+  getEndpointState(endpointNum) {
+    const summary = this._getEndpointSummary(endpointNum);
+    const state = {};
+
+    for (const capId of this._getEndpointCapabilities(endpointNum)) {
+      if (this.hasCapability(capId)) {
+        state[capId.split('.')[0]] = this.getCapabilityValue(capId);
+      }
+    }
+
+    return { ...summary, state, usage: this.getUsageStats(endpointNum) };
+  }
+
+  /**
+   * Queue onoff and/or dim for an endpoint, as an interactive command
+   * @param {number} endpointNum
+   * @param {object} state
+   * @param {boolean} [state.onoff]
+   * @param {number} [state.dim] - 0 to 1, also switches the endpoint on or off
+   */
+  async setEndpointState(endpointNum, { onoff, dim } = {}) {
+    this._getEndpointSummary(endpointNum);
+
+    const onoffCap = `onoff.ep${endpointNum}`;
+    const dimCap = `dim.ep${endpointNum}`;
+    const queueOpts = { priority: WallWandDevice.COMMAND_PRIORITY.INTERACTIVE };
+
+    if (onoff === undefined && dim === undefined) {
+      throw new Error('Provide onoff and/or dim');
+    }
+    if (onoff !== undefined && typeof onoff !== 'boolean') {
+      throw new Error('onoff must be true or false');
+    }
+    if (dim !== undefined && !(typeof dim === 'number' && dim >= 0 && dim <= 1)) {
+      throw new Error('dim must be a number between 0 and 1');
+    }
+
+    const commands = [];
+    if (dim !== undefined) {
+      if (!this.hasCapability(dimCap)) {
+        throw new Error(`Endpoint ${endpointNum} does not have a dim capability`);
+      }
+      this.cancelFade(endpointNum);
+      commands.push(this.queueCapabilityCommand(dimCap, dim, {}, queueOpts));
+    }
+
+    const targetOnoff = onoff ?? (dim !== undefined ? dim > 0 : undefined);
+    if (targetOnoff !== undefined) {
+      if (!this.hasCapability(onoffCap)) {
+        throw new Error(`Endpoint ${endpointNum} does not have an onoff capability`);
+      }
+      // A level given alongside wins over the endpoint's turn-on level
+      const opts = dim !== undefined ? { keepLevel: true } : {};
+      commands.push(this.queueCapabilityCommand(onoffCap, targetOnoff, opts, queueOpts));
+    }
+
+    await Promise.all(commands);
+    return this.getEndpointState(endpointNum);
+  }
+
+  _getEndpointSummary(endpointNum) {
+    const type = this._endpointTypes?.[endpointNum];
+    if (!type) {
+      throw new Error(`Endpoint ${endpointNum} not found`);
+    }
+
+    return {
+      id: endpointNum,
+      label: this._getEndpointLabel(endpointNum),
+      type,
+      load: this._getLoadType(endpointNum),
+    };
+  }
+
+  // ============================================================
+  // Flow Condition Handlers
+  // ============================================================
+
+  async _handleEndpointIsOn(args) {
+    if (!args.endpoint?.id) {
+      this.error('[FLOW] Invalid endpoint in condition');
+      return false;
+    }
+
+    const endpointNum = args.endpoint.id;
+    if (!this._endpointTypes[endpointNum]) {
+      this.error(`[FLOW] Endpoint ${endpointNum} not found or unsupported`);
+      return false;
+    }
+
+    const cap = `onoff.ep${endpointNum}`;
+    if (!this.hasCapability(cap)) return false;
+    return !!this.getCapabilityValue(cap);
+  }
+
+  async _handleEndpointOnFor(args) {
+    const isOn = await this._handleEndpointIsOn(args);
+    if (!isOn) return false;
+
+    const onSince = this._usageStats[args.endpoint.id]?.onSince;
+    return !!onSince && Date.now() - onSince > args.minutes * 60000;
+  }
+
+  async _handleEndpointDimCompare(args) {
+    if (!args.endpoint?.id) {
+      this.error('[FLOW] Invalid endpoint in condition');
+      return false;
+    }
+
+    const endpointNum = args.endpoint.id;
+    if (!this._endpointTypes[endpointNum]) {
+      this.error(`[FLOW] Endpoint ${endpointNum} not found or unsupported`);
+      return false;
+    }
+
+    const cap = `dim.ep${endpointNum}`;
+    if (!this.hasCapability(cap)) return false;
+
+    const current = this.getCapabilityValue(cap) || 0;
+    const target = Number(args.level) || 0;
+
+    switch (args.comparison) {
+      case 'greater_than':
+        return current > target;
+      case 'less_than':
+        return current < target;
+      case 'equal_to':
+        return Math.abs(current - target) < 0.01;
+      default:
+        return false;
+    }
+  }
+
+  async _handleEndpointPowerCompare(args) {
+    if (!args.endpoint?.id) {
+      this.error('[FLOW] Invalid endpoint in condition');
+      return false;
+    }
+
+    const endpointNum = args.endpoint.id;
+    const cap = `measure_power.ep${endpointNum}`;
+    if (!this.hasCapability(cap)) {
+      this.error(`[FLOW] Endpoint ${endpointNum} does not report power`);
+      return false;
+    }
+
+    const current = Number(this.getCapabilityValue(cap)) || 0;
+    const target = Number(args.power) || 0;
+
+    switch (args.comparison) {
+      case 'above':
+        return current > target;
+      case 'below':
+        return current < target;
       default:
         return false;
     }
@@ -0,0 +1,175 @@
+'use strict';
+
+const Homey = require('homey');
+const WallWandDevice = require('../wallwand/device');
+
+/**
+ * One endpoint of a WallWand panel as its own Homey device. Commands go through the
+ * panel's command queue, and state is mirrored from the panel's report handling.
+ */
+module.exports = class WallWandEndpointDevice extends Homey.Device {
+  static PARENT_RETRY_MS = 10000; // The panel may initialize after its endpoints
+
+  async onInit() {
+    this._parent = null;
+    this._parentRetryTimeout = null;
+
+    this._onParentCapability = (endpointNum, capability, value) => {
+      if (endpointNum !== this.getData().endpoint || !this.hasCapability(capability)) return;
+
+      this.setCapabilityValue(capability, value).catch(err => {
+        this.error(`[ENDPOINT] Failed to mirror ${capability}:`, err.message || err);
+      });
+    };
+
+    this._onParentAvailability = (available, reason) => {
+      const update = available ? this.setAvailable() : this.setUnavailable(reason);
+      update.catch(err => this.error('[ENDPOINT] Failed to update availability:', err));
+    };
+
+    // The panel's load type setting decides the class, and with it the icon. The endpoint was
+    // (re)discovered too, so its capabilities may have changed.
+    this._onParentLoad = (endpointNum, deviceClass) => {
+      if (endpointNum !== this.getData().endpoint) return;
+
+      if (deviceClass !== this.getClass()) {
+        this.setClass(deviceClass).catch(err => {
+          this.error('[ENDPOINT] Failed to update class:', err.message || err);
+        });
+      }
+      this._refreshFromParent().catch(err => {
+        this.error('[ENDPOINT] Failed to sync capabilities:', err.message || err);
+      });
+    };
+
+    // The panel instance is going away, e.g. it is restarted or removed; attach to the next
+    // one with the same panel token once it is there
+    this._onParentUninit = reason => {
+      this._detachFromParent();
+      this.setUnavailable(reason).catch(this.error);
+      this._scheduleAttach();
+    };
+
+    for (const capability of this.getCapabilities()) {
+      this._registerCapabilityListener(capability);
+    }
+
+    this._attachToParent();
+  }
+
+  _registerCapabilityListener(capability) {
+    this.registerCapabilityListener(capability, async (value, opts) =>
+      this._sendToParent(capability, value, opts)
+    );
+  }
+
+  async onUninit() {
+    this._detachFromParent();
+  }
+
+  async onDeleted() {
+    this._detachFromParent();
+  }
+
+  async _sendToParent(capability, value, opts) {
+    if (!this._parent) {
+      throw new Error('The WallWand panel of this endpoint is not available');
+    }
+
+    const { endpoint } = this.getData();
+    await this._parent.queueCapabilityCommand(`${capability}.ep${endpoint}`, value, opts, {
+      priority: WallWandDevice.COMMAND_PRIORITY.INTERACTIVE,
+    });
+  }
+
+  _findParent() {
+    const { panel } = this.getData();
+    return this.homey.drivers
+      .getDriver('wallwand')
+      .getDevices()
+      .find(device => device.getData().token === panel);
+  }
+
+  _attachToParent() {
+    const parent = this._findParent();
+
+    if (!parent) {
+      this.setUnavailable('WallWand panel not found').catch(this.error);
+      this._scheduleAttach();
+      return;
+    }
+
+    this._parent = parent;
+    parent.on('endpointCapability', this._onParentCapability);
+    parent.on('availability', this._onParentAvailability);
+    parent.on('endpointLoad', this._onParentLoad);
+    parent.on('uninit', this._onParentUninit);
+
+    // Start from the panel's current state, later changes arrive as events
+    const { endpoint } = this.getData();
+    this._onParentLoad(endpoint, parent.getEndpointDeviceClass(endpoint));
+
+    this._onParentAvailability(parent.getAvailable(), 'The WallWand panel is unavailable');
+    this.log(`[ENDPOINT] Linked to panel endpoint ${endpoint}`);
+  }
+
+  _scheduleAttach() {
+    if (this._parentRetryTimeout) this.homey.clearTimeout(this._parentRetryTimeout);
+
+    this._parentRetryTimeout = this.homey.setTimeout(() => {
+      this._parentRetryTimeout = null;
+      this._attachToParent();
+    }, WallWandEndpointDevice.PARENT_RETRY_MS);
+  }
+
+  /**
+   * Take over the capabilities the panel has for this endpoint, e.g. metering it found after
+   * pairing, and their current values
+   */
+  async _refreshFromParent() {
+    const parent = this._parent;
+    if (!parent) return;
+
+    const { endpoint } = this.getData();
+    let wanted;
+    try {
+      wanted = Object.keys(parent.getEndpointState(endpoint).state);
+    } catch (error) {
+      return; // Not discovered (yet), keep what the device has
+    }
+    if (wanted.length === 0) return;
+
+    for (const capability of wanted) {
+      if (this.hasCapability(capability)) continue;
+      await this.addCapability(capability);
+      this._registerCapabilityListener(capability);
+      this.log(`[ENDPOINT] Added ${capability}`);
+    }
+    for (const capability of this.getCapabilities()) {
+      if (wanted.includes(capability)) continue;
+      await this.removeCapability(capability);
+      this.log(`[ENDPOINT] Removed ${capability}`);
+    }
+
+    for (const capability of this.getCapabilities()) {
+      const value = parent.getCapabilityValue(`${capability}.ep${endpoint}`);
+      if (value !== null && value !== undefined)
+        this._onParentCapability(endpoint, capability, value);
+    }
+  }
+
+  _detachFromParent() {
+    if (this._parentRetryTimeout) {
+      this.homey.clearTimeout(this._parentRetryTimeout);
+      this._parentRetryTimeout = null;
+    }
+
+    if (this._parent) {
+      this._parent.removeListener('endpointCapability', this._onParentCapability);
+      this._parent.removeListener('availability', this._onParentAvailability);
+      this._parent.removeListener('endpointLoad', this._onParentLoad);
+      this._parent.removeListener('uninit', this._onParentUninit);
+      this._parent = null;
+    }
+  }
+};
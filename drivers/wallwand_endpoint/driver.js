@@ -0,0 +1,39 @@
+'use strict';
+
+const Homey = require('homey');
+
+module.exports = class WallWandEndpointDriver extends Homey.Driver {
+  async onInit() {
+    this.log('WallWand endpoint driver has been initialized');
+  }
+
+  /**
+   * Offer every discovered endpoint of every paired panel that has no endpoint device yet
+   */
+  async onPairListDevices() {
+    const paired = this.getDevices().map(device => this._getKey(device.getData()));
+    const devices = [];
+
+    for (const panel of this.homey.drivers.getDriver('wallwand').getDevices()) {
+      const { token } = panel.getData();
+
+      for (const { id, label } of panel.getEndpoints()) {
+        const data = { panel: token, endpoint: id };
+        if (paired.includes(this._getKey(data))) continue;
+
+        devices.push({
+          name: `${panel.getName()} ${label}`,
+          data,
+          class: panel.getEndpointDeviceClass(id),
+          capabilities: Object.keys(panel.getEndpointState(id).state),
+        });
+      }
+    }
+
+    return devices;
+  }
+
+  _getKey({ panel, endpoint }) {
+    return `${panel}:${endpoint}`;
+  }
+};